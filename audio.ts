@@ -0,0 +1,227 @@
+import { audioBands } from './simulation.js';
+
+// Web Audio for the scene: AudioInput analyses a microphone or local file for the audio-reactive mode,
+// reduced to one 0-1 level per band in the order of audioBands; SoundSynth voices collisions and arrivals.
+
+const bandRanges: [number, number][] = [
+  [20, 250],     // bass
+  [250, 1000],   // lowMid
+  [1000, 4000],  // highMid
+  [4000, 16000]  // treble
+];
+
+export class AudioInput {
+  private context: AudioContext;
+  private analyser: AnalyserNode;
+  private data: Uint8Array;
+  private stream: MediaStream | null = null;
+  private element: HTMLAudioElement | null = null;
+  private objectUrl: string | null = null;
+
+  private constructor() {
+    this.context = new AudioContext();
+    this.analyser = this.context.createAnalyser();
+    this.analyser.fftSize = 2048;
+    this.analyser.smoothingTimeConstant = 0.75;
+    this.data = new Uint8Array(this.analyser.frequencyBinCount);
+  }
+
+  static async fromMicrophone(): Promise<AudioInput> {
+    const input = new AudioInput();
+    try {
+      input.stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      // Not routed to the speakers, which would feed back into the mic
+      input.context.createMediaStreamSource(input.stream).connect(input.analyser);
+      await input.context.resume();
+    } catch (error) {
+      input.dispose();
+      throw error;
+    }
+    return input;
+  }
+
+  static async fromFile(file: File): Promise<AudioInput> {
+    const input = new AudioInput();
+    try {
+      input.objectUrl = URL.createObjectURL(file);
+      input.element = new Audio(input.objectUrl);
+      input.element.loop = true;
+      const source = input.context.createMediaElementSource(input.element);
+      source.connect(input.analyser);
+      input.analyser.connect(input.context.destination);
+      await input.context.resume();
+      await input.element.play();
+    } catch (error) {
+      input.dispose();
+      throw error;
+    }
+    return input;
+  }
+
+  // Average spectrum magnitude inside each band
+  getLevels(): number[] {
+    this.analyser.getByteFrequencyData(this.data);
+    const binWidth = this.context.sampleRate / this.analyser.fftSize;
+
+    return audioBands.map((_, band) => {
+      const [low, high] = bandRanges[band];
+      const start = Math.max(1, Math.floor(low / binWidth));
+      const end = Math.min(this.data.length - 1, Math.ceil(high / binWidth));
+      let sum = 0;
+      for (let i = start; i <= end; i++) {
+        sum += this.data[i];
+      }
+      return end >= start ? sum / ((end - start + 1) * 255) : 0;
+    });
+  }
+
+  dispose(): void {
+    this.stream?.getTracks().forEach(track => track.stop());
+    this.stream = null;
+    if (this.element) {
+      this.element.pause();
+      this.element.removeAttribute('src');
+      this.element = null;
+    }
+    if (this.objectUrl) {
+      URL.revokeObjectURL(this.objectUrl);
+      this.objectUrl = null;
+    }
+    this.context.close().catch(() => {});
+  }
+}
+
+export type SoundScale = 'major' | 'minor' | 'pentatonic' | 'minorPentatonic' | 'chromatic';
+
+export const soundKeys = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+const scaleIntervals: Record<SoundScale, number[]> = {
+  major: [0, 2, 4, 5, 7, 9, 11],
+  minor: [0, 2, 3, 5, 7, 8, 10],
+  pentatonic: [0, 2, 4, 7, 9],
+  minorPentatonic: [0, 3, 5, 7, 10],
+  chromatic: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]
+};
+
+// Scale degree each wall sounds; the floor is lowest and the ceiling highest
+const wallDegrees: { [wall: string]: number } = {
+  floor: 0,
+  back: 1,
+  left: 2,
+  right: 3,
+  front: 4,
+  ceiling: 5
+};
+
+const fullImpactSpeed = 0.3; // Impact speed (units per step) that gives a full-volume click
+const maxVoices = 32; // Sounds past this are dropped so dense scenes stay clean
+
+// Synthesized sound layer: pitched noise clicks for wall impacts and soft sine tones for particle arrivals
+export class SoundSynth {
+  private context: AudioContext;
+  private master: GainNode;
+  private noise: AudioBuffer;
+  private activeVoices: number = 0;
+  private scale: SoundScale = 'pentatonic';
+  private keyOffset: number = 0; // Semitones above C
+
+  constructor() {
+    this.context = new AudioContext();
+
+    // Everything goes through a compressor so bursts of collisions don't clip
+    const compressor = this.context.createDynamicsCompressor();
+    compressor.connect(this.context.destination);
+    this.master = this.context.createGain();
+    this.master.gain.value = 0.5;
+    this.master.connect(compressor);
+
+    this.noise = this.context.createBuffer(1, Math.floor(this.context.sampleRate * 0.2), this.context.sampleRate);
+    const samples = this.noise.getChannelData(0);
+    for (let i = 0; i < samples.length; i++) {
+      samples[i] = Math.random() * 2 - 1;
+    }
+  }
+
+  setVolume(volume: number): void {
+    this.master.gain.setTargetAtTime(Math.max(0, Math.min(1, volume)), this.context.currentTime, 0.05);
+  }
+
+  setScale(scale: SoundScale, key: string): void {
+    this.scale = scaleIntervals[scale] ? scale : 'pentatonic';
+    this.keyOffset = Math.max(0, soundKeys.indexOf(key));
+  }
+
+  playImpact(wall: string, impactSpeed: number): void {
+    const strength = Math.min(1, impactSpeed / fullImpactSpeed);
+    if (strength < 0.05 || !this.reserveVoice()) return;
+
+    const now = this.context.currentTime;
+    const frequency = this.getFrequency(48, wallDegrees[wall] ?? 0);
+    const duration = 0.08 + strength * 0.12;
+
+    // Noise through a resonant band-pass gives the click its pitch
+    const source = this.context.createBufferSource();
+    source.buffer = this.noise;
+    const filter = this.context.createBiquadFilter();
+    filter.type = 'bandpass';
+    filter.frequency.value = frequency * 2;
+    filter.Q.value = 12;
+    const gain = this.context.createGain();
+    gain.gain.setValueAtTime(strength * 0.9, now);
+    gain.gain.exponentialRampToValueAtTime(0.001, now + duration);
+
+    source.connect(filter).connect(gain).connect(this.master);
+    source.onended = () => this.releaseVoice(source, gain);
+    source.start(now);
+    source.stop(now + duration);
+  }
+
+  // degree picks the note, e.g. from the arriving node's index
+  playTone(degree: number): void {
+    if (!this.reserveVoice()) return;
+
+    const now = this.context.currentTime;
+    const oscillator = this.context.createOscillator();
+    oscillator.type = 'sine';
+    oscillator.frequency.value = this.getFrequency(72, degree);
+    const gain = this.context.createGain();
+    gain.gain.setValueAtTime(0, now);
+    gain.gain.linearRampToValueAtTime(0.12, now + 0.03);
+    gain.gain.exponentialRampToValueAtTime(0.001, now + 0.6);
+
+    oscillator.connect(gain).connect(this.master);
+    oscillator.onended = () => this.releaseVoice(oscillator, gain);
+    oscillator.start(now);
+    oscillator.stop(now + 0.6);
+  }
+
+  dispose(): void {
+    this.context.close().catch(() => {});
+  }
+
+  private reserveVoice(): boolean {
+    // Without a user gesture the context starts suspended; retry on each sound until the page allows it
+    if (this.context.state === 'suspended') {
+      this.context.resume().catch(() => {});
+      return false;
+    }
+    if (this.activeVoices >= maxVoices) return false;
+    this.activeVoices++;
+    return true;
+  }
+
+  private releaseVoice(source: AudioScheduledSourceNode, gain: GainNode): void {
+    this.activeVoices--;
+    source.disconnect();
+    gain.disconnect();
+  }
+
+  // MIDI note of a scale degree counted up from the key's root in the given octave (48 = C3)
+  private getFrequency(baseNote: number, degree: number): number {
+    const intervals = scaleIntervals[this.scale];
+    const octave = Math.floor(degree / intervals.length);
+    const step = ((degree % intervals.length) + intervals.length) % intervals.length;
+    const note = baseNote + this.keyOffset + intervals[step] + octave * 12;
+    return 440 * Math.pow(2, (note - 69) / 12);
+  }
+}
@@ -0,0 +1,172 @@
+// Live performance input: Web MIDI and OSC over a WebSocket bridge.
+// Both report messages as (source, value) pairs, where source names the knob or address
+// (e.g. "midi:cc:1:74", "midi:note:10:36", "osc:/1/fader1") and value is normalized to 0-1.
+
+export interface ControlMapping {
+  source: string;
+  target: string; // Control panel key such as "nodeSpeed" or "nodeColor", or "preset:<name>"
+}
+
+export type ControlMessageHandler = (source: string, value: number) => void;
+
+export interface OscMessage {
+  address: string;
+  args: (number | string | boolean)[];
+}
+
+export class MidiInput {
+  private access: MIDIAccess;
+  private onMessage: ControlMessageHandler;
+
+  private constructor(access: MIDIAccess, onMessage: ControlMessageHandler) {
+    this.access = access;
+    this.onMessage = onMessage;
+
+    // Controllers plugged in later are picked up as they appear
+    this.attachInputs();
+    this.access.onstatechange = () => this.attachInputs();
+  }
+
+  static async connect(onMessage: ControlMessageHandler): Promise<MidiInput> {
+    if (!('requestMIDIAccess' in navigator)) {
+      throw new Error('Web MIDI is not supported in this browser');
+    }
+    const access = await navigator.requestMIDIAccess();
+    return new MidiInput(access, onMessage);
+  }
+
+  get inputCount(): number {
+    return this.access.inputs.size;
+  }
+
+  dispose(): void {
+    this.access.onstatechange = null;
+    this.access.inputs.forEach(input => input.onmidimessage = null);
+  }
+
+  private attachInputs(): void {
+    this.access.inputs.forEach(input => input.onmidimessage = this.handleMessage);
+  }
+
+  private handleMessage = (event: MIDIMessageEvent): void => {
+    const data = event.data;
+    if (!data || data.length < 3) return;
+
+    const status = data[0] & 0xf0;
+    const channel = (data[0] & 0x0f) + 1;
+    if (status === 0xb0) {
+      this.onMessage(`midi:cc:${channel}:${data[1]}`, data[2] / 127);
+    } else if (status === 0x90 && data[2] > 0) {
+      // Note-on only; a note-on with velocity 0 is really a note-off
+      this.onMessage(`midi:note:${channel}:${data[1]}`, data[2] / 127);
+    }
+  };
+}
+
+// Browsers can't receive UDP, so OSC arrives through a WebSocket relay (binary OSC packets or JSON {address, args})
+export class OscBridge {
+  private socket: WebSocket;
+  private onMessage: ControlMessageHandler;
+
+  constructor(url: string, onMessage: ControlMessageHandler, onStatusChange: () => void) {
+    this.onMessage = onMessage;
+    this.socket = new WebSocket(url);
+    this.socket.binaryType = 'arraybuffer';
+
+    this.socket.addEventListener('open', () => {
+      console.log(`OSC bridge connected: ${url}`);
+      onStatusChange();
+    });
+    this.socket.addEventListener('close', () => {
+      console.log(`OSC bridge closed: ${url}`);
+      onStatusChange();
+    });
+    this.socket.addEventListener('message', event => this.handleMessage(event.data));
+  }
+
+  get status(): 'connecting' | 'connected' | 'closed' {
+    if (this.socket.readyState === WebSocket.CONNECTING) return 'connecting';
+    return this.socket.readyState === WebSocket.OPEN ? 'connected' : 'closed';
+  }
+
+  dispose(): void {
+    this.socket.close();
+  }
+
+  private handleMessage(data: ArrayBuffer | string): void {
+    let messages: OscMessage[];
+    try {
+      messages = typeof data === 'string' ? [JSON.parse(data)] : parseOscPacket(data);
+    } catch (error) {
+      console.warn('Ignoring malformed OSC message:', error);
+      return;
+    }
+
+    messages.forEach(message => {
+      // JSON frames can hold anything; binary packets are always well-formed
+      if (!message || typeof message !== 'object' || typeof message.address !== 'string') return;
+      if (message.args !== undefined && !Array.isArray(message.args)) return;
+      // First numeric argument is the value; bare messages act as a trigger
+      const arg = (message.args ?? []).find(arg => typeof arg === 'number' || typeof arg === 'boolean');
+      const value = arg === undefined ? 1 : Number(arg);
+      this.onMessage(`osc:${message.address}`, Math.max(0, Math.min(1, value)));
+    });
+  }
+}
+
+// Decode an OSC message or bundle into its messages
+export function parseOscPacket(data: ArrayBuffer): OscMessage[] {
+  return readOscPacket(new DataView(data), 0, data.byteLength);
+}
+
+function readOscPacket(view: DataView, start: number, end: number): OscMessage[] {
+  const [head, afterHead] = readOscString(view, start);
+
+  if (head === '#bundle') {
+    const messages: OscMessage[] = [];
+    let offset = afterHead + 8; // Skip the time tag; messages apply as soon as they arrive
+    while (offset + 4 <= end) {
+      const size = view.getInt32(offset);
+      offset += 4;
+      messages.push(...readOscPacket(view, offset, offset + size));
+      offset += size;
+    }
+    return messages;
+  }
+
+  const [typeTags, afterTags] = readOscString(view, afterHead);
+  const args: (number | string | boolean)[] = [];
+  let offset = afterTags;
+  for (const tag of typeTags.slice(1)) {
+    if (tag === 'f') {
+      args.push(view.getFloat32(offset));
+      offset += 4;
+    } else if (tag === 'i') {
+      args.push(view.getInt32(offset));
+      offset += 4;
+    } else if (tag === 'd') {
+      args.push(view.getFloat64(offset));
+      offset += 8;
+    } else if (tag === 'h') {
+      args.push(Number(view.getBigInt64(offset)));
+      offset += 8;
+    } else if (tag === 's') {
+      const [text, next] = readOscString(view, offset);
+      args.push(text);
+      offset = next;
+    } else if (tag === 'b') {
+      offset += 4 + Math.ceil(view.getInt32(offset) / 4) * 4;
+    } else if (tag === 'T' || tag === 'F') {
+      args.push(tag === 'T');
+    }
+  }
+  return [{ address: head, args }];
+}
+
+// OSC strings are null-terminated and padded to a multiple of four bytes
+function readOscString(view: DataView, offset: number): [string, number] {
+  let end = offset;
+  while (end < view.byteLength && view.getUint8(end) !== 0) end++;
+  const text = new TextDecoder().decode(new Uint8Array(view.buffer, view.byteOffset + offset, end - offset));
+  return [text, (end + 4) & ~3];
+}
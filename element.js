@@ -0,0 +1,135 @@
+import { NeuralNetworkAnimation } from './index.js';
+import { presetSchema } from './presets.js';
+// <neural-animation preset="Dark Magic" controls="false" node-count="40"></neural-animation>
+// Any preset field can be set as a kebab-case attribute; values are parsed as booleans, numbers or JSON where they look like one.
+// Every preset field except the name, version and descriptive metadata can be set as an attribute
+const nonAttributeFields = ['name', 'version', 'description', 'tags', 'author', 'thumbnail'];
+const presetFields = Object.keys(presetSchema).filter(field => !nonAttributeFields.includes(field));
+function toAttributeName(field) {
+    return field.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+}
+const fieldsByAttribute = new Map(presetFields.map(field => [toAttributeName(field), field]));
+function parseAttributeValue(value) {
+    const trimmed = value.trim();
+    if (trimmed === 'true' || trimmed === 'false')
+        return trimmed === 'true';
+    if (trimmed === 'null')
+        return null;
+    if (trimmed !== '' && !isNaN(Number(trimmed)))
+        return Number(trimmed);
+    if (trimmed.startsWith('{') || trimmed.startsWith('['))
+        return JSON.parse(trimmed);
+    return value;
+}
+export class NeuralAnimationElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['preset', 'controls', 'preset-path', 'playlist', ...fieldsByAttribute.keys()];
+    }
+    constructor() {
+        super();
+        this.instance = null;
+        // Shadow DOM keeps page styles away from the canvas and panels
+        const shadow = this.attachShadow({ mode: 'open' });
+        const style = document.createElement('style');
+        style.textContent = `
+      :host { display: block; position: relative; height: 400px; overflow: hidden; }
+      .container { position: absolute; inset: 0; }
+    `;
+        this.container = document.createElement('div');
+        this.container.className = 'container';
+        shadow.appendChild(style);
+        shadow.appendChild(this.container);
+        // Follow the element's own box rather than the window
+        this.resizeObserver = new ResizeObserver(() => this.instance?.resize());
+    }
+    // The wrapped animation, for scripting events and methods; null while disconnected
+    get animation() {
+        return this.instance;
+    }
+    connectedCallback() {
+        if (this.instance)
+            return;
+        this.instance = new NeuralNetworkAnimation({
+            container: this.container,
+            preset: this.getAttribute('preset') ?? undefined,
+            showControls: this.getAttribute('controls') !== 'false',
+            presetPath: this.getAttribute('preset-path') ?? undefined,
+            params: this.getAttributeParams(),
+            playlist: this.getPlaylistAttribute(),
+            resizeWithWindow: false
+        });
+        this.resizeObserver.observe(this);
+    }
+    disconnectedCallback() {
+        this.resizeObserver.disconnect();
+        this.instance?.dispose();
+        this.instance = null;
+    }
+    attributeChangedCallback(name, oldValue, newValue) {
+        // Before connecting, connectedCallback reads every attribute at once
+        if (!this.instance || newValue === null || newValue === oldValue)
+            return;
+        if (name === 'preset') {
+            this.instance.loadPreset(newValue, { transition: true }).catch(error => console.error('Error loading preset:', error));
+        }
+        else if (name === 'playlist') {
+            const playlist = this.getPlaylistAttribute();
+            if (playlist)
+                this.instance.playPlaylist(playlist).catch(error => console.error('Error starting playlist:', error));
+        }
+        else if (name === 'controls' || name === 'preset-path') {
+            // Panels and preset lookups are fixed at construction, so start over
+            this.disconnectedCallback();
+            this.connectedCallback();
+        }
+        else {
+            const params = this.parseAttribute(name, newValue);
+            if (!params)
+                return;
+            try {
+                this.instance.setParams(params);
+            }
+            catch (error) {
+                console.error(`Could not apply ${name}:`, error);
+            }
+        }
+    }
+    // A path to a playlist file, or the playlist itself as JSON
+    getPlaylistAttribute() {
+        const value = this.getAttribute('playlist');
+        if (!value)
+            return undefined;
+        try {
+            return value.trim().startsWith('{') ? JSON.parse(value) : value;
+        }
+        catch (error) {
+            console.error('Invalid value for playlist:', error);
+            return undefined;
+        }
+    }
+    getAttributeParams() {
+        const params = {};
+        for (const attribute of fieldsByAttribute.keys()) {
+            const value = this.getAttribute(attribute);
+            if (value !== null)
+                Object.assign(params, this.parseAttribute(attribute, value));
+        }
+        return params;
+    }
+    parseAttribute(name, value) {
+        const field = fieldsByAttribute.get(name);
+        if (!field)
+            return null;
+        try {
+            return { [field]: parseAttributeValue(value) };
+        }
+        catch (error) {
+            console.error(`Invalid value for ${name}:`, error);
+            return null;
+        }
+    }
+}
+if (!customElements.get('neural-animation')) {
+    customElements.define('neural-animation', NeuralAnimationElement);
+}
+//# sourceMappingURL=element.js.map
\ No newline at end of file
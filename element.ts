@@ -0,0 +1,142 @@
+import { NeuralNetworkAnimation, PresetData } from './index.js';
+import { presetSchema } from './presets.js';
+import { PlaylistInput } from './playlist.js';
+
+// <neural-animation preset="Dark Magic" controls="false" node-count="40"></neural-animation>
+// Any preset field can be set as a kebab-case attribute; values are parsed as booleans, numbers or JSON where they look like one.
+
+// Every preset field except the name, version and descriptive metadata can be set as an attribute
+const nonAttributeFields = ['name', 'version', 'description', 'tags', 'author', 'thumbnail'];
+const presetFields = Object.keys(presetSchema).filter(field => !nonAttributeFields.includes(field));
+
+function toAttributeName(field: string): string {
+  return field.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+}
+
+const fieldsByAttribute = new Map(presetFields.map(field => [toAttributeName(field), field]));
+
+function parseAttributeValue(value: string): any {
+  const trimmed = value.trim();
+  if (trimmed === 'true' || trimmed === 'false') return trimmed === 'true';
+  if (trimmed === 'null') return null;
+  if (trimmed !== '' && !isNaN(Number(trimmed))) return Number(trimmed);
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) return JSON.parse(trimmed);
+  return value;
+}
+
+export class NeuralAnimationElement extends HTMLElement {
+  static get observedAttributes(): string[] {
+    return ['preset', 'controls', 'preset-path', 'playlist', ...fieldsByAttribute.keys()];
+  }
+
+  private container: HTMLElement;
+  private resizeObserver: ResizeObserver;
+  private instance: NeuralNetworkAnimation | null = null;
+
+  constructor() {
+    super();
+
+    // Shadow DOM keeps page styles away from the canvas and panels
+    const shadow = this.attachShadow({ mode: 'open' });
+    const style = document.createElement('style');
+    style.textContent = `
+      :host { display: block; position: relative; height: 400px; overflow: hidden; }
+      .container { position: absolute; inset: 0; }
+    `;
+    this.container = document.createElement('div');
+    this.container.className = 'container';
+    shadow.appendChild(style);
+    shadow.appendChild(this.container);
+
+    // Follow the element's own box rather than the window
+    this.resizeObserver = new ResizeObserver(() => this.instance?.resize());
+  }
+
+  // The wrapped animation, for scripting events and methods; null while disconnected
+  get animation(): NeuralNetworkAnimation | null {
+    return this.instance;
+  }
+
+  connectedCallback(): void {
+    if (this.instance) return;
+
+    this.instance = new NeuralNetworkAnimation({
+      container: this.container,
+      preset: this.getAttribute('preset') ?? undefined,
+      showControls: this.getAttribute('controls') !== 'false',
+      presetPath: this.getAttribute('preset-path') ?? undefined,
+      params: this.getAttributeParams(),
+      playlist: this.getPlaylistAttribute(),
+      resizeWithWindow: false
+    });
+    this.resizeObserver.observe(this);
+  }
+
+  disconnectedCallback(): void {
+    this.resizeObserver.disconnect();
+    this.instance?.dispose();
+    this.instance = null;
+  }
+
+  attributeChangedCallback(name: string, oldValue: string | null, newValue: string | null): void {
+    // Before connecting, connectedCallback reads every attribute at once
+    if (!this.instance || newValue === null || newValue === oldValue) return;
+
+    if (name === 'preset') {
+      this.instance.loadPreset(newValue, { transition: true }).catch(error => console.error('Error loading preset:', error));
+    } else if (name === 'playlist') {
+      const playlist = this.getPlaylistAttribute();
+      if (playlist) this.instance.playPlaylist(playlist).catch(error => console.error('Error starting playlist:', error));
+    } else if (name === 'controls' || name === 'preset-path') {
+      // Panels and preset lookups are fixed at construction, so start over
+      this.disconnectedCallback();
+      this.connectedCallback();
+    } else {
+      const params = this.parseAttribute(name, newValue);
+      if (!params) return;
+      try {
+        this.instance.setParams(params);
+      } catch (error) {
+        console.error(`Could not apply ${name}:`, error);
+      }
+    }
+  }
+
+  // A path to a playlist file, or the playlist itself as JSON
+  private getPlaylistAttribute(): PlaylistInput | string | undefined {
+    const value = this.getAttribute('playlist');
+    if (!value) return undefined;
+
+    try {
+      return value.trim().startsWith('{') ? JSON.parse(value) : value;
+    } catch (error) {
+      console.error('Invalid value for playlist:', error);
+      return undefined;
+    }
+  }
+
+  private getAttributeParams(): Partial<PresetData> {
+    const params: Partial<PresetData> = {};
+    for (const attribute of fieldsByAttribute.keys()) {
+      const value = this.getAttribute(attribute);
+      if (value !== null) Object.assign(params, this.parseAttribute(attribute, value));
+    }
+    return params;
+  }
+
+  private parseAttribute(name: string, value: string): Partial<PresetData> | null {
+    const field = fieldsByAttribute.get(name);
+    if (!field) return null;
+
+    try {
+      return { [field]: parseAttributeValue(value) };
+    } catch (error) {
+      console.error(`Invalid value for ${name}:`, error);
+      return null;
+    }
+  }
+}
+
+if (!customElements.get('neural-animation')) {
+  customElements.define('neural-animation', NeuralAnimationElement);
+}
@@ -1,80 +1,695 @@
 import * as THREE from 'three';
-class NeuralNetworkAnimation {
+import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { FlyControls } from 'three/examples/jsm/controls/FlyControls.js';
+import { NeuralSimulation, EventEmitter, simulationTimeStep } from './simulation.js';
+import { AudioInput, SoundSynth, soundKeys } from './audio.js';
+import { MidiInput, OscBridge } from './controllers.js';
+import { presetVersion, normalizePreset, validatePresetFields, formatPresetIssues, parsePresetManifest, encodePresetHash, decodePresetHash } from './presets.js';
+import { PresetLibrary, libraryPrefix } from './library.js';
+import { PlaylistPlayer, parsePlaylist, playlistDefaults } from './playlist.js';
+// Transition easings as listed in the preset panel
+const easingOptions = [
+    { value: 'linear', text: 'Linear' },
+    { value: 'ease-in', text: 'Ease In' },
+    { value: 'ease-out', text: 'Ease Out' },
+    { value: 'ease-in-out', text: 'Ease In-Out' },
+    { value: 'bounce', text: 'Bounce' },
+    { value: 'elastic', text: 'Elastic' }
+];
+// Largest still side the output 2D canvas can hold in every major desktop browser: Safari caps each side at 16384,
+// and Chrome caps the area at 16384 × 16384
+const maxStillSize = 16384;
+let crcTable = null;
+// CRC-32 as used by ZIP and PNG
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+// Minimal ZIP writer (stored, no compression) for bundling image sequences
+class ZipWriter {
     constructor() {
-        this.nodes = [];
+        this.parts = [];
+        this.centralDirectory = [];
+        this.offset = 0;
+        this.entryCount = 0;
+    }
+    async addFile(name, data) {
+        const bytes = new Uint8Array(await data.arrayBuffer());
+        const crc = crc32(bytes);
+        const nameBytes = new TextEncoder().encode(name);
+        if (this.offset + 30 + nameBytes.length + bytes.length > 0xffffffff) {
+            throw new Error('Archive is larger than 4 GB, try a shorter duration or smaller resolution');
+        }
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true); // Version needed
+        local.setUint16(6, 0x0800, true); // UTF-8 names
+        local.setUint16(8, 0, true); // Stored
+        local.setUint16(10, 0, true);
+        local.setUint16(12, 0x21, true); // 1980-01-01
+        local.setUint32(14, crc, true);
+        local.setUint32(18, bytes.length, true);
+        local.setUint32(22, bytes.length, true);
+        local.setUint16(26, nameBytes.length, true);
+        local.setUint16(28, 0, true);
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true);
+        central.setUint16(4, 20, true);
+        central.setUint16(6, 20, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, 0, true);
+        central.setUint16(14, 0x21, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, bytes.length, true);
+        central.setUint32(24, bytes.length, true);
+        central.setUint16(28, nameBytes.length, true);
+        central.setUint32(42, this.offset, true);
+        this.parts.push(local.buffer, nameBytes, data);
+        this.centralDirectory.push(new Uint8Array(central.buffer), nameBytes);
+        this.offset += 30 + nameBytes.length + bytes.length;
+        this.entryCount++;
+    }
+    finish() {
+        const directorySize = this.centralDirectory.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, this.entryCount, true);
+        end.setUint16(10, this.entryCount, true);
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, this.offset, true);
+        return new Blob([...this.parts, ...this.centralDirectory, end.buffer], { type: 'application/zip' });
+    }
+}
+// Animated PNG writer; frames are RGBA pixels, compressed with the browser's deflate
+class APNGWriter {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.frames = []; // Compressed image data per frame
+    }
+    async addFrame(rgba) {
+        // Sub filter on every row: store each byte as the difference from the pixel to its left
+        const stride = this.width * 4;
+        const filtered = new Uint8Array((stride + 1) * this.height);
+        for (let y = 0; y < this.height; y++) {
+            const row = y * stride;
+            const out = y * (stride + 1);
+            filtered[out] = 1;
+            for (let x = 0; x < stride; x++) {
+                filtered[out + 1 + x] = (rgba[row + x] - (x >= 4 ? rgba[row + x - 4] : 0)) & 0xff;
+            }
+        }
+        const stream = new Blob([filtered]).stream().pipeThrough(new CompressionStream('deflate'));
+        this.frames.push(new Uint8Array(await new Response(stream).arrayBuffer()));
+    }
+    appendFrames(other) {
+        this.frames.push(...other.frames);
+    }
+    finish(fps) {
+        const chunks = [new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])];
+        const header = new DataView(new ArrayBuffer(13));
+        header.setUint32(0, this.width);
+        header.setUint32(4, this.height);
+        header.setUint8(8, 8); // Bit depth
+        header.setUint8(9, 6); // RGBA
+        chunks.push(APNGWriter.chunk('IHDR', new Uint8Array(header.buffer)));
+        const animation = new DataView(new ArrayBuffer(8));
+        animation.setUint32(0, this.frames.length);
+        animation.setUint32(4, 0); // Loop forever
+        chunks.push(APNGWriter.chunk('acTL', new Uint8Array(animation.buffer)));
+        let sequence = 0;
+        this.frames.forEach((data, index) => {
+            const control = new DataView(new ArrayBuffer(26));
+            control.setUint32(0, sequence++);
+            control.setUint32(4, this.width);
+            control.setUint32(8, this.height);
+            control.setUint16(20, 1); // Delay of 1 / fps seconds
+            control.setUint16(22, fps);
+            chunks.push(APNGWriter.chunk('fcTL', new Uint8Array(control.buffer)));
+            if (index === 0) {
+                chunks.push(APNGWriter.chunk('IDAT', data));
+            }
+            else {
+                const frameData = new Uint8Array(4 + data.length);
+                new DataView(frameData.buffer).setUint32(0, sequence++);
+                frameData.set(data, 4);
+                chunks.push(APNGWriter.chunk('fdAT', frameData));
+            }
+        });
+        chunks.push(APNGWriter.chunk('IEND', new Uint8Array(0)));
+        return new Blob(chunks, { type: 'image/apng' });
+    }
+    static chunk(type, data) {
+        const result = new Uint8Array(12 + data.length);
+        const view = new DataView(result.buffer);
+        view.setUint32(0, data.length);
+        for (let i = 0; i < 4; i++)
+            result[4 + i] = type.charCodeAt(i);
+        result.set(data, 8);
+        view.setUint32(8 + data.length, crc32(result.subarray(4, 8 + data.length)));
+        return result;
+    }
+}
+// Minimal WebM muxer for a single video track of WebCodecs chunks
+class WebMWriter {
+    constructor(codecId, width, height) {
+        this.codecId = codecId;
+        this.width = width;
+        this.height = height;
+        this.clusters = [];
+        this.clusterBlocks = [];
+        this.clusterTimestamp = -1;
+        this.lastTimestamp = 0;
+    }
+    addChunk(chunk) {
+        const timestamp = Math.round(chunk.timestamp / 1000); // Microseconds to milliseconds
+        const isKey = chunk.type === 'key';
+        // Start a cluster on every keyframe, and before the 16-bit block offset would overflow
+        if (this.clusterTimestamp < 0 || isKey || timestamp - this.clusterTimestamp > 30000) {
+            this.flushCluster();
+            this.clusterTimestamp = timestamp;
+        }
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+        const header = new Uint8Array(4);
+        header[0] = 0x81; // Track 1
+        new DataView(header.buffer).setInt16(1, timestamp - this.clusterTimestamp);
+        header[3] = isKey ? 0x80 : 0x00;
+        this.clusterBlocks.push(WebMWriter.element(0xa3, [header, data]));
+        this.lastTimestamp = timestamp;
+    }
+    finish(frameDuration) {
+        this.flushCluster();
+        const el = WebMWriter.element;
+        const header = el(0x1a45dfa3, [
+            el(0x4286, WebMWriter.uint(1)),
+            el(0x42f7, WebMWriter.uint(1)),
+            el(0x42f2, WebMWriter.uint(4)),
+            el(0x42f3, WebMWriter.uint(8)),
+            el(0x4282, WebMWriter.text('webm')),
+            el(0x4287, WebMWriter.uint(2)),
+            el(0x4285, WebMWriter.uint(2))
+        ]);
+        const info = el(0x1549a966, [
+            el(0x2ad7b1, WebMWriter.uint(1000000)), // Millisecond timestamps
+            el(0x4d80, WebMWriter.text('Neural Network Animation')),
+            el(0x5741, WebMWriter.text('Neural Network Animation')),
+            el(0x4489, WebMWriter.float(this.lastTimestamp + frameDuration))
+        ]);
+        const tracks = el(0x1654ae6b, [
+            el(0xae, [
+                el(0xd7, WebMWriter.uint(1)),
+                el(0x73c5, WebMWriter.uint(1)),
+                el(0x83, WebMWriter.uint(1)), // Video
+                el(0x9c, WebMWriter.uint(0)),
+                el(0x86, WebMWriter.text(this.codecId)),
+                el(0xe0, [
+                    el(0xb0, WebMWriter.uint(this.width)),
+                    el(0xba, WebMWriter.uint(this.height))
+                ])
+            ])
+        ]);
+        const segment = el(0x18538067, [info, tracks, ...this.clusters]);
+        return new Blob([header, segment], { type: 'video/webm' });
+    }
+    flushCluster() {
+        if (this.clusterBlocks.length === 0)
+            return;
+        this.clusters.push(WebMWriter.element(0x1f43b675, [
+            WebMWriter.element(0xe7, WebMWriter.uint(this.clusterTimestamp)),
+            ...this.clusterBlocks
+        ]));
+        this.clusterBlocks = [];
+    }
+    static element(id, body) {
+        const parts = Array.isArray(body) ? body : [body];
+        const bodySize = parts.reduce((sum, part) => sum + part.length, 0);
+        const idBytes = WebMWriter.uint(id);
+        const sizeBytes = WebMWriter.size(bodySize);
+        const result = new Uint8Array(idBytes.length + sizeBytes.length + bodySize);
+        result.set(idBytes, 0);
+        result.set(sizeBytes, idBytes.length);
+        let offset = idBytes.length + sizeBytes.length;
+        for (const part of parts) {
+            result.set(part, offset);
+            offset += part.length;
+        }
+        return result;
+    }
+    static uint(value) {
+        const bytes = [];
+        do {
+            bytes.unshift(value % 256);
+            value = Math.floor(value / 256);
+        } while (value > 0);
+        return new Uint8Array(bytes);
+    }
+    static size(value) {
+        // Variable-length integer: the leading bit position encodes the byte count
+        let length = 1;
+        while (value >= Math.pow(2, 7 * length) - 1)
+            length++;
+        const bytes = new Uint8Array(length);
+        let remaining = value;
+        for (let i = length - 1; i >= 0; i--) {
+            bytes[i] = remaining % 256;
+            remaining = Math.floor(remaining / 256);
+        }
+        bytes[0] |= 1 << (8 - length);
+        return bytes;
+    }
+    static float(value) {
+        const bytes = new Uint8Array(8);
+        new DataView(bytes.buffer).setFloat64(0, value);
+        return bytes;
+    }
+    static text(value) {
+        return new TextEncoder().encode(value);
+    }
+}
+export class NeuralNetworkAnimation {
+    constructor(options = {}) {
+        this.flyControls = null;
+        this.cameraMode = 'orbit';
+        this.cameraFlight = null;
+        this.cameraBookmarks = [];
+        this.cinematicMode = 'off';
+        this.cameraPath = null;
+        this.cameraPathCurves = null;
+        this.cameraPathDuration = 30; // Seconds per pass along the path
+        this.autoOrbitSpeed = 6; // Degrees per second
+        this.cinematicTime = 0;
+        this.followedNode = null;
+        this.followRetargetTimer = 0;
+        this.homeCameraPosition = new THREE.Vector3(0, 0, 25);
+        this.events = new EventEmitter();
+        this.cameraFrustum = new THREE.Frustum();
         this.mouse = new THREE.Vector2();
         this.raycaster = new THREE.Raycaster();
-        this.connectionLines = new THREE.Group();
+        this.controlPanel = null;
+        this.presetPanel = null;
         this.boxEnvironment = new THREE.Group();
-        this.particles = [];
-        this.particleGroup = new THREE.Group();
-        this.ripples = [];
+        this.particleRenderColor = new THREE.Color();
+        this.connectionRenderColor = new THREE.Color();
+        this.rippleMeshes = new Map();
         this.rippleGroup = new THREE.Group();
+        this.audioInput = null;
+        this.audioSourceRequest = 0; // Lets a slow microphone prompt lose to a later choice
+        this.audioMeterBars = [];
         // Animation parameters
-        this.nodeCount = 12;
         this.connectionOpacity = 0.3;
-        this.nodeSpeed = 0.5;
-        this.activitySpeed = 2.0;
-        this.spaceSize = 15;
-        this.mouseInfluenceRadius = 5.0;
         this.backgroundColor = '#0a0a1a';
-        this.nodeColor = '#ff6b6b';
         this.connectionColor = '#4fc3f7';
         this.showAllConnections = true;
-        this.particleCount = 8;
-        this.particleSpeed = 1.0;
         this.particleSize = 0.2;
         this.particleColor = '#ffff00';
-        this.showParticles = true;
-        this.rippleIntensity = 0.8;
-        this.rippleDuration = 2.0;
-        this.rippleSize = 1.0;
         this.rippleColor = '#ffffff';
-        this.showRipples = true;
-        this.gravity = 0.0;
-        this.airResistance = 0.98;
-        this.wallRestitution = 0.7;
-        this.wallFriction = 0.95;
+        this.boxSpaceSize = 15; // Space size the box walls were last built for
+        this.lodDistance = 60; // Nodes further than this from the camera are drawn as points
+        this.soundMuted = true;
+        this.soundVolume = 0.5;
+        this.soundScale = 'pentatonic';
+        this.soundKey = 'C';
+        this.soundSynth = null; // Created on unmute, so silent pages never open an AudioContext
+        // Live controllers
+        this.controlMappings = [];
+        this.midiInput = null;
+        this.oscBridge = null;
+        this.controlLearning = false;
+        this.learnTarget = null;
+        this.learnHighlight = null;
+        this.controllerStatus = null;
         this.availablePresets = [];
+        this.presetManifest = [];
+        this.presetLibrary = new PresetLibrary(); // Presets saved in this browser
+        this.libraryEntries = []; // Listed like manifest entries, with file set to "library:<name>"
+        this.presetDropdown = null;
+        this.presetInfo = null;
         this.currentPresetName = 'Default';
+        this.presetMetadata = {}; // Carried into saved presets
+        // Offline export
+        this.isExporting = false;
+        this.exportCancelled = false;
+        this.offlinePixelRatio = 1;
+        this.offlineAccumulator = 0;
         // Transition system
         this.isTransitioning = false;
-        this.transitionStartTime = 0;
+        this.transitionElapsed = 0;
         this.transitionDuration = 2.0;
         this.transitionEasing = 'ease-in-out';
         this.fromPreset = null;
         this.toPreset = null;
+        this.activeTransitionDuration = 2.0; // Timing of the running transition; playlist entries bring their own
+        this.activeTransitionEasing = 'ease-in-out';
+        // Playlist
+        this.playlist = { entries: [], shuffle: false, loop: true }; // The one edited in the preset panel
+        this.playlistPlayer = null;
+        this.playlistEditor = null;
+        this.playlistRows = [];
+        this.playlistPlayButton = null;
+        this.playlistOptionInputs = null;
         // Time tracking
         this.clock = new THREE.Clock();
+        this.fixedTimeStep = simulationTimeStep;
+        this.maxStepsPerFrame = 8;
+        this.accumulator = 0;
+        this.timeScale = 1.0;
+        this.animationFrameId = null;
+        this.disposed = false;
+        // Kept as properties so dispose() can remove exactly these listeners
+        this.onMouseMove = (event) => {
+            // Relative to the canvas, which only covers the window when not embedded
+            const rect = this.renderer.domElement.getBoundingClientRect();
+            this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+            this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+        };
+        this.onResize = () => {
+            this.resize();
+        };
+        this.onHashChange = () => {
+            this.loadSharedPreset({ transition: true }).catch(error => console.error('Error loading the preset in the link:', error));
+        };
+        // Kept as a property so the MIDI and OSC inputs can call it directly
+        this.handleControlMessage = (source, value) => {
+            if (this.disposed)
+                return;
+            if (this.controlLearning && this.learnTarget) {
+                // One knob per control and one control per knob
+                const target = this.learnTarget;
+                this.controlMappings = this.controlMappings.filter(mapping => mapping.source !== source && mapping.target !== target);
+                this.controlMappings.push({ source, target });
+                console.log(`Mapped ${source} to ${target}`);
+                this.setLearnTarget(null, null);
+                return;
+            }
+            this.controlMappings
+                .filter(mapping => mapping.source === source)
+                .forEach(mapping => this.applyControlValue(mapping.target, value));
+        };
+        this.container = options.container ?? document.body;
+        this.embedded = this.container !== document.body;
+        this.presetPath = options.presetPath ?? './presets/';
+        this.useUrlHash = options.urlHash ?? !this.embedded;
+        // Panels are positioned against the container when embedded
+        if (this.embedded && getComputedStyle(this.container).position === 'static') {
+            this.container.style.position = 'relative';
+        }
         this.init();
-        this.createControlPanel();
-        this.createNodes();
-        this.setupEventListeners();
-        this.loadDefaultPreset();
+        if (options.showControls ?? true) {
+            this.createControlPanel();
+        }
+        this.setupEventListeners(options.resizeWithWindow ?? true);
+        const loadInitialPreset = () => options.preset
+            ? this.loadPreset(options.preset).catch(error => console.error('Error loading initial preset:', error))
+            : this.loadDefaultPreset();
+        // A shared link wins over the configured preset; without a readable one in the hash, start as usual
+        const initialPreset = this.useUrlHash
+            ? this.loadSharedPreset().then(loaded => loaded ? undefined : loadInitialPreset())
+            : loadInitialPreset();
+        if (options.params) {
+            const params = options.params;
+            initialPreset
+                .then(() => {
+                // The element replaces its instance when controls or preset-path change, possibly before this settles
+                if (!this.disposed)
+                    this.setParams(params);
+            })
+                .catch(error => console.error('Error applying initial parameters:', error));
+        }
+        if (options.playlist) {
+            const playlist = options.playlist;
+            initialPreset.then(() => this.playPlaylist(playlist)).catch(error => console.error('Error starting playlist:', error));
+        }
+        this.animate();
+    }
+    // Change preset fields immediately, without a transition; only structural changes rebuild the nodes
+    setParams(input) {
+        const { values: params, issues } = validatePresetFields(input);
+        if (issues.length > 0) {
+            console.warn(`Some parameters were corrected:\n${formatPresetIssues(issues)}`);
+        }
+        this.simulation.setParams(params);
+        this.currentPresetName = params.name ?? this.currentPresetName;
+        this.connectionOpacity = params.connectionOpacity ?? this.connectionOpacity;
+        this.backgroundColor = params.backgroundColor ?? this.backgroundColor;
+        this.connectionColor = params.connectionColor ?? this.connectionColor;
+        this.showAllConnections = params.showAllConnections ?? this.showAllConnections;
+        this.particleSize = params.particleSize ?? this.particleSize;
+        this.particleColor = params.particleColor ?? this.particleColor;
+        this.rippleColor = params.rippleColor ?? this.rippleColor;
+        this.lodDistance = params.lodDistance ?? this.lodDistance;
+        this.cameraPathDuration = params.cameraPathDuration ?? this.cameraPathDuration;
+        this.autoOrbitSpeed = params.autoOrbitSpeed ?? this.autoOrbitSpeed;
+        this.soundMuted = params.soundMuted ?? this.soundMuted;
+        this.soundVolume = params.soundVolume ?? this.soundVolume;
+        this.soundScale = params.soundScale ?? this.soundScale;
+        this.soundKey = params.soundKey ?? this.soundKey;
+        this.updateSound();
+        if (params.controlMappings) {
+            this.controlMappings = params.controlMappings;
+            this.updateControllerStatus();
+        }
+        if (params.cameraBookmarks) {
+            this.cameraBookmarks = params.cameraBookmarks;
+            this.refreshBookmarkSelect();
+        }
+        if (params.cameraPath !== undefined) {
+            this.setCameraPath(params.cameraPath);
+        }
+        if (params.cinematicMode) {
+            this.setCinematicMode(params.cinematicMode);
+        }
+        // Update visual elements
+        this.scene.background = new THREE.Color(this.backgroundColor);
+        this.connectionSegments.visible = this.showAllConnections;
+        this.updateConnectionColors();
+        this.updateParticleColors();
+        this.updateParticleVisibility();
+        this.updateRippleColors();
+        this.updateRippleVisibility();
+        if (this.simulation.spaceSize !== this.boxSpaceSize) {
+            this.recreateBoxEnvironment();
+        }
+        this.updateControlPanel();
+    }
+    getParams() {
+        return this.getCurrentPreset();
+    }
+    // Subscribe to simulation and transition events; returns a function that unsubscribes
+    on(type, listener) {
+        return this.events.on(type, listener);
+    }
+    off(type, listener) {
+        this.events.off(type, listener);
+    }
+    // Load a preset by name (from the preset folder, or "library:<name>" for one saved in the browser), by path or as data,
+    // optionally easing into it. Partial presets are completed with defaults; invalid fields are fixed and reported in the console
+    async loadPreset(preset, options = {}) {
+        const data = typeof preset === 'string' ? await this.fetchNamedPreset(preset) : this.checkPreset(preset, 'preset data').preset;
+        if (this.disposed)
+            return; // Disposed while the preset loaded
+        if (options.transition) {
+            this.startTransition(data);
+        }
+        else {
+            this.applyPreset(data);
+            this.updateControlPanel();
+        }
+        console.log(`Preset "${data.name}" loaded successfully`);
+    }
+    // Cycle through presets on a schedule: pass a playlist, a path to a playlist JSON file, or nothing to play the one
+    // in the preset panel. Each entry transitions in, holds, then hands over to the next. Rejects when there is nothing to play.
+    async playPlaylist(playlist) {
+        if (this.disposed)
+            return;
+        if (playlist !== undefined) {
+            let raw = playlist;
+            if (typeof playlist === 'string') {
+                const response = await fetch(playlist);
+                if (!response.ok) {
+                    throw new Error(`Failed to load playlist: ${response.statusText}`);
+                }
+                raw = await response.json();
+                if (this.disposed)
+                    return;
+            }
+            this.setPlaylist(parsePlaylist(raw));
+        }
+        if (this.playlist.entries.length === 0) {
+            throw new Error('The playlist has no entries');
+        }
+        this.playlistPlayer = new PlaylistPlayer(this.playlist);
+        this.updatePlaylistControls();
+        console.log(`Playing ${this.playlist.entries.length} presets${this.playlist.shuffle ? ' shuffled' : ''}${this.playlist.loop ? ' on a loop' : ''}`);
+    }
+    stopPlaylist() {
+        if (!this.playlistPlayer)
+            return;
+        this.playlistPlayer = null;
+        this.updatePlaylistControls();
+        console.log('Playlist stopped');
+    }
+    // Stop simulating and rendering, e.g. while the view is scrolled out of sight
+    pause() {
+        if (this.animationFrameId === null)
+            return;
+        cancelAnimationFrame(this.animationFrameId);
+        this.animationFrameId = null;
+    }
+    resume() {
+        if (this.animationFrameId !== null || this.disposed)
+            return;
+        // Skip the time spent paused
+        this.clock.getDelta();
         this.animate();
     }
+    // Drive the audio-reactive mappings from the microphone or a local audio file; null stops listening.
+    // Rejects when the microphone is refused or the file cannot be played.
+    async setAudioSource(source) {
+        const request = ++this.audioSourceRequest;
+        this.audioInput?.dispose();
+        this.audioInput = null;
+        if (!source) {
+            console.log('Audio input stopped');
+            return;
+        }
+        try {
+            const input = source === 'microphone' ? await AudioInput.fromMicrophone() : await AudioInput.fromFile(source);
+            if (request !== this.audioSourceRequest) {
+                input.dispose();
+                return;
+            }
+            this.audioInput = input;
+            console.log(`Audio input started: ${source === 'microphone' ? 'microphone' : source.name}`);
+        }
+        catch (error) {
+            console.error('Error starting audio input:', error);
+            throw error;
+        }
+    }
+    // Fit the canvas to its container, or the window when not embedded
+    resize() {
+        // Exports own the renderer size until they finish, then call this again
+        if (this.isExporting || this.disposed)
+            return;
+        const { width, height } = this.getViewSize();
+        this.simulation.viewAspect = width / height;
+        this.camera.aspect = this.simulation.viewAspect;
+        this.camera.updateProjectionMatrix();
+        this.renderer.setSize(width, height);
+        // Recreate box environment for new screen size
+        this.recreateBoxEnvironment();
+        this.simulation.updateLayoutTargets();
+        // A paused view still needs redrawing at its new size
+        if (this.animationFrameId === null) {
+            this.renderer.render(this.scene, this.camera);
+        }
+    }
+    // Stop the render loop and release every listener, GPU resource and element this instance created
+    dispose() {
+        if (this.disposed)
+            return;
+        this.disposed = true;
+        this.pause();
+        this.exportCancelled = true;
+        this.audioSourceRequest++;
+        this.audioInput?.dispose();
+        this.audioInput = null;
+        this.soundSynth?.dispose();
+        this.soundSynth = null;
+        this.midiInput?.dispose();
+        this.oscBridge?.dispose();
+        this.presetLibrary.close();
+        this.playlistPlayer = null;
+        window.removeEventListener('mousemove', this.onMouseMove);
+        window.removeEventListener('hashchange', this.onHashChange);
+        window.removeEventListener('resize', this.onResize);
+        this.orbitControls.dispose();
+        this.flyControls?.dispose();
+        this.scene.traverse(object => {
+            if (object instanceof THREE.Mesh || object instanceof THREE.Line || object instanceof THREE.Points) {
+                object.geometry.dispose();
+                const materials = Array.isArray(object.material) ? object.material : [object.material];
+                materials.forEach(material => material.dispose());
+            }
+            if (object instanceof THREE.InstancedMesh) {
+                object.dispose();
+            }
+        });
+        this.rippleMeshes.clear();
+        this.scene.clear();
+        this.events.clear();
+        this.renderer.dispose();
+        this.renderer.domElement.remove();
+        this.controlPanel?.element.remove();
+        this.presetPanel?.remove();
+        console.log('Neural animation disposed');
+    }
     init() {
         // Scene setup
         this.scene = new THREE.Scene();
         this.scene.background = new THREE.Color(this.backgroundColor);
         // Camera setup
-        this.camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
-        this.camera.position.z = 25;
+        const { width, height } = this.getViewSize();
+        this.camera = new THREE.PerspectiveCamera(75, width / height, 0.1, 1000);
+        this.camera.position.copy(this.homeCameraPosition);
+        // The simulation fills a box sized to this camera's view
+        this.simulation = new NeuralSimulation({ viewAspect: this.camera.aspect, fov: this.camera.fov, events: this.events });
+        // Sound layer: walls click, arriving particles chime higher the higher their target node sits
+        this.events.on('wallCollision', ({ wall, impactSpeed }) => {
+            if (!this.isExporting)
+                this.soundSynth?.playImpact(wall, impactSpeed);
+        });
+        this.events.on('particleArrive', ({ particle }) => {
+            if (this.isExporting || !this.soundSynth)
+                return;
+            const box = this.simulation.getBoxDimensions();
+            const height = THREE.MathUtils.clamp(particle.endNode.position.y / box.height + 0.5, 0, 1);
+            this.soundSynth.playTone(Math.round(height * 9));
+        });
         // Renderer setup
         this.renderer = new THREE.WebGLRenderer({ antialias: true });
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
+        this.renderer.setSize(width, height);
         this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-        document.body.appendChild(this.renderer.domElement);
+        this.container.appendChild(this.renderer.domElement);
+        // Orbit, pan and zoom by default; free flight is switched on from the preset panel
+        this.orbitControls = new OrbitControls(this.camera, this.renderer.domElement);
+        this.orbitControls.enableDamping = true;
+        this.orbitControls.addEventListener('start', () => {
+            // Grabbing the camera cancels any bookmark flight in progress
+            this.cameraFlight = null;
+        });
         // Lighting
         const ambientLight = new THREE.AmbientLight(0x404040, 0.4);
         this.scene.add(ambientLight);
         const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
         directionalLight.position.set(10, 10, 5);
         this.scene.add(directionalLight);
-        // Add connection lines group
-        this.scene.add(this.connectionLines);
-        // Add particle group
-        this.scene.add(this.particleGroup);
+        // Nodes, connections and particles are each drawn in a single call
+        this.nodeMesh = this.createNodeMesh(64);
+        this.scene.add(this.nodeMesh);
+        this.nodePoints = this.createNodePoints(64);
+        this.scene.add(this.nodePoints);
+        this.connectionSegments = this.createConnectionSegments(256);
+        this.scene.add(this.connectionSegments);
+        this.particleMesh = this.createParticleMesh(256);
+        this.scene.add(this.particleMesh);
+        this.updateConnectionColors();
+        this.updateParticleColors();
         // Add ripple group
         this.scene.add(this.rippleGroup);
         // Add box environment group
@@ -83,15 +698,12 @@ class NeuralNetworkAnimation {
         this.createBoxEnvironment();
     }
     createBoxEnvironment() {
-        // Calculate box dimensions based on camera frustum
-        const depth = 20;
-        const fov = this.camera.fov * Math.PI / 180;
-        const aspect = this.camera.aspect;
-        const height = 2 * Math.tan(fov / 2) * depth;
-        const width = height * aspect;
+        // Calculate box dimensions based on camera frustum and space size
+        const { width, height, depth } = this.simulation.getBoxDimensions();
         const boxWidth = width;
         const boxHeight = height;
-        const boxDepth = depth * 0.8;
+        const boxDepth = depth;
+        this.boxSpaceSize = this.simulation.spaceSize;
         // Create wireframe material for grid lines
         const gridMaterial = new THREE.LineBasicMaterial({
             color: 0x444444,
@@ -190,7 +802,7 @@ class NeuralNetworkAnimation {
     createControlPanel() {
         const panel = document.createElement('div');
         panel.style.cssText = `
-      position: fixed;
+      position: ${this.embedded ? 'absolute' : 'fixed'};
       top: 20px;
       right: 20px;
       background: rgba(0, 0, 0, 0.9);
@@ -201,6 +813,8 @@ class NeuralNetworkAnimation {
       font-size: 14px;
       z-index: 1000;
       min-width: 280px;
+      max-height: calc(${this.embedded ? '100%' : '100vh'} - 40px);
+      overflow-y: auto;
       backdrop-filter: blur(10px);
       border: 1px solid rgba(255, 255, 255, 0.1);
       transition: transform 0.3s ease, opacity 0.3s ease;
@@ -236,7 +850,8 @@ class NeuralNetworkAnimation {
         content.style.cssText = 'transition: max-height 0.3s ease, opacity 0.3s ease; overflow: hidden;';
         const controls = {};
         // Helper function to create compact slider controls
-        const createSlider = (label, min, max, step, value, callback) => {
+        // Costly settings pass applyOn 'change' so dragging only updates the label and the callback runs once on release
+        const createSlider = (label, min, max, step, value, callback, applyOn = 'input') => {
             const container = document.createElement('div');
             container.style.cssText = 'margin-bottom: 8px;';
             const labelContainer = document.createElement('div');
@@ -264,8 +879,12 @@ class NeuralNetworkAnimation {
             slider.addEventListener('input', () => {
                 const val = parseFloat(slider.value);
                 valueDisplay.textContent = val.toFixed(2);
-                callback(val);
+                if (applyOn === 'input')
+                    callback(val);
             });
+            if (applyOn === 'change') {
+                slider.addEventListener('change', () => callback(parseFloat(slider.value)));
+            }
             labelContainer.appendChild(labelEl);
             labelContainer.appendChild(valueDisplay);
             container.appendChild(labelContainer);
@@ -295,36 +914,195 @@ class NeuralNetworkAnimation {
             content.appendChild(container);
             return colorPicker;
         };
+        // Helper function to create compact dropdown
+        const createSelect = (label, options, value, callback) => {
+            const container = document.createElement('div');
+            container.style.cssText = 'margin-bottom: 8px;';
+            const labelContainer = document.createElement('div');
+            labelContainer.style.cssText = 'display: flex; justify-content: space-between; align-items: center; margin-bottom: 3px;';
+            const labelEl = document.createElement('label');
+            labelEl.textContent = label;
+            labelEl.style.cssText = 'color: #e0e0e0; font-size: 12px;';
+            const select = document.createElement('select');
+            select.style.cssText = 'background: #333; color: white; border: 1px solid #555; border-radius: 3px; font-size: 11px; padding: 2px;';
+            options.forEach(option => {
+                const opt = document.createElement('option');
+                opt.value = option.value;
+                opt.textContent = option.text;
+                if (option.value === value)
+                    opt.selected = true;
+                select.appendChild(opt);
+            });
+            select.addEventListener('change', () => {
+                callback(select.value);
+            });
+            labelContainer.appendChild(labelEl);
+            labelContainer.appendChild(select);
+            container.appendChild(labelContainer);
+            content.appendChild(container);
+            return select;
+        };
         // Create all the controls in a more compact layout
-        controls.nodeCount = createSlider('Nodes', 5, 25, 1, this.nodeCount, (val) => {
-            this.nodeCount = Math.floor(val);
-            this.recreateNodes();
-        });
-        controls.nodeSpeed = createSlider('Node Speed', 0, 2, 0.1, this.nodeSpeed, (val) => this.nodeSpeed = val);
-        controls.activitySpeed = createSlider('Activity', 0.5, 5, 0.1, this.activitySpeed, (val) => this.activitySpeed = val);
+        // Rebuilding up to 2000 nodes on every drag step stalls the page, so the count applies on release
+        controls.nodeCount = createSlider('Nodes', 5, 2000, 1, this.simulation.nodeCount, (val) => {
+            this.simulation.nodeCount = Math.floor(val);
+            this.simulation.reset();
+        }, 'change');
+        controls.nodeSpeed = createSlider('Node Speed', 0, 2, 0.1, this.simulation.nodeSpeed, (val) => this.simulation.nodeSpeed = val);
+        controls.activitySpeed = createSlider('Activity', 0.5, 5, 0.1, this.simulation.activitySpeed, (val) => this.simulation.activitySpeed = val);
         controls.connectionOpacity = createSlider('Connections', 0, 1, 0.05, this.connectionOpacity, (val) => this.connectionOpacity = val);
-        controls.mouseInfluenceRadius = createSlider('Mouse Range', 2, 15, 0.5, this.mouseInfluenceRadius, (val) => this.mouseInfluenceRadius = val);
+        controls.spaceSize = createSlider('Space Size', 10, 30, 0.5, this.simulation.spaceSize, (val) => this.setSpaceSize(val));
+        controls.mouseInfluenceRadius = createSlider('Mouse Range', 2, 15, 0.5, this.simulation.mouseInfluenceRadius, (val) => this.simulation.mouseInfluenceRadius = val);
         // Particle controls
-        controls.particleCount = createSlider('Particles', 0, 20, 1, this.particleCount, (val) => {
-            this.particleCount = Math.floor(val);
+        controls.particleCount = createSlider('Particles', 0, 20, 1, this.simulation.particleCount, (val) => {
+            this.simulation.particleCount = Math.floor(val);
             this.updateParticleCount();
         });
-        controls.particleSpeed = createSlider('Particle Speed', 0.1, 3, 0.1, this.particleSpeed, (val) => this.particleSpeed = val);
-        controls.particleSize = createSlider('Particle Size', 0.05, 0.5, 0.05, this.particleSize, (val) => {
-            this.particleSize = val;
-            this.updateParticleSize();
-        });
+        controls.particleSpeed = createSlider('Particle Speed', 0.1, 3, 0.1, this.simulation.particleSpeed, (val) => this.simulation.particleSpeed = val);
+        controls.particleSize = createSlider('Particle Size', 0.05, 0.5, 0.05, this.particleSize, (val) => this.particleSize = val);
         // Ripple controls
-        controls.rippleIntensity = createSlider('Ripple Intensity', 0, 2, 0.1, this.rippleIntensity, (val) => this.rippleIntensity = val);
-        controls.rippleDuration = createSlider('Ripple Duration', 0.5, 5, 0.1, this.rippleDuration, (val) => this.rippleDuration = val);
-        controls.rippleSize = createSlider('Ripple Size', 0.2, 3, 0.1, this.rippleSize, (val) => this.rippleSize = val);
+        controls.rippleIntensity = createSlider('Ripple Intensity', 0, 2, 0.1, this.simulation.rippleIntensity, (val) => this.simulation.rippleIntensity = val);
+        controls.rippleDuration = createSlider('Ripple Duration', 0.5, 5, 0.1, this.simulation.rippleDuration, (val) => this.simulation.rippleDuration = val);
+        controls.rippleSize = createSlider('Ripple Size', 0.2, 3, 0.1, this.simulation.rippleSize, (val) => this.simulation.rippleSize = val);
         // Physics controls
-        controls.wallRestitution = createSlider('Wall Bounce', 0.1, 1.0, 0.05, this.wallRestitution, (val) => this.wallRestitution = val);
-        controls.wallFriction = createSlider('Wall Friction', 0.8, 1.0, 0.01, this.wallFriction, (val) => this.wallFriction = val);
+        controls.wallRestitution = createSlider('Wall Bounce', 0.1, 1.0, 0.05, this.simulation.wallRestitution, (val) => this.simulation.wallRestitution = val);
+        controls.wallFriction = createSlider('Wall Friction', 0.8, 1.0, 0.01, this.simulation.wallFriction, (val) => this.simulation.wallFriction = val);
+        controls.gravity = createSlider('Gravity', 0, 2, 0.05, this.simulation.gravity, (val) => this.simulation.gravity = val);
+        controls.airResistance = createSlider('Air Resistance', 0, 2, 0.05, this.simulation.airResistance, (val) => this.simulation.airResistance = val);
+        controls.gravityMode = createSelect('Gravity Direction', [
+            { value: 'down', text: 'Down' },
+            { value: 'center', text: 'Toward Center' },
+            { value: 'mouse', text: 'Toward Mouse' }
+        ], this.simulation.gravityMode, (val) => this.simulation.gravityMode = val);
+        // Layout controls
+        controls.layoutStrength = createSlider('Layout Spring', 0.1, 3, 0.1, this.simulation.layoutStrength, (val) => this.simulation.layoutStrength = val);
+        controls.layoutMode = createSelect('Layout', [
+            { value: 'scatter', text: 'Scatter' },
+            { value: 'layered', text: 'Layered' },
+            { value: 'ring', text: 'Ring' },
+            { value: 'sphere', text: 'Sphere' }
+        ], this.simulation.layoutMode, (val) => this.simulation.setLayoutMode(val));
+        // Activation model controls
+        controls.spikeThreshold = createSlider('Spike Threshold', 0.2, 3, 0.1, this.simulation.spikeThreshold, (val) => this.simulation.spikeThreshold = val);
+        controls.spikeLeak = createSlider('Spike Leak', 0, 3, 0.05, this.simulation.spikeLeak, (val) => this.simulation.spikeLeak = val);
+        controls.refractoryPeriod = createSlider('Refractory', 0, 2, 0.05, this.simulation.refractoryPeriod, (val) => this.simulation.refractoryPeriod = val);
+        controls.activationModel = createSelect('Activation', [
+            { value: 'wave', text: 'Wave' },
+            { value: 'spiking', text: 'Spiking' }
+        ], this.simulation.activationModel, (val) => this.simulation.activationModel = val);
+        // Simulation speed (playback only, not stored in presets)
+        controls.timeScale = createSelect('Time Scale', [
+            { value: '0', text: 'Paused' },
+            { value: '0.25', text: '0.25x' },
+            { value: '0.5', text: '0.5x' },
+            { value: '1', text: '1x' },
+            { value: '2', text: '2x' }
+        ], this.timeScale.toString(), (val) => this.setTimeScale(parseFloat(val)));
+        // Node interaction controls
+        controls.interactionStrength = createSlider('Node Repulsion', -1, 1, 0.05, this.simulation.interactionStrength, (val) => this.simulation.interactionStrength = val);
+        controls.interactionRadius = createSlider('Field Radius', 1, 10, 0.5, this.simulation.interactionRadius, (val) => this.simulation.interactionRadius = val);
+        // Large network controls
+        controls.connectionNeighbors = createSlider('Nearest Neighbors', 1, 20, 1, this.simulation.connectionNeighbors, (val) => {
+            this.simulation.connectionNeighbors = Math.floor(val);
+            this.simulation.updateConnections();
+        });
+        controls.connectionDistance = createSlider('Link Distance', 1, 20, 0.5, this.simulation.connectionDistance, (val) => {
+            this.simulation.connectionDistance = val;
+            this.simulation.updateConnections();
+        });
+        controls.lodDistance = createSlider('LOD Distance', 10, 100, 1, this.lodDistance, (val) => this.lodDistance = val);
+        controls.particleBudget = createSlider('Particle Budget', 100, 10000, 100, this.simulation.particleBudget, (val) => {
+            this.simulation.particleBudget = Math.floor(val);
+            this.simulation.trimParticlesToBudget();
+        });
+        // Cinematic camera controls
+        controls.cameraPathDuration = createSlider('Path Duration', 5, 120, 1, this.cameraPathDuration, (val) => this.cameraPathDuration = val);
+        controls.autoOrbitSpeed = createSlider('Orbit Speed', 0, 30, 0.5, this.autoOrbitSpeed, (val) => this.autoOrbitSpeed = val);
+        controls.connectionMode = createSelect('Connections', [
+            { value: 'all', text: 'Full Mesh' },
+            { value: 'nearest', text: 'K-Nearest' },
+            { value: 'distance', text: 'Distance' }
+        ], this.simulation.connectionMode, (val) => {
+            this.simulation.connectionMode = val;
+            this.simulation.updateConnections();
+        });
+        // Audio-reactive controls: which frequency band drives each parameter
+        controls.audioGain = createSlider('Audio Gain', 0.1, 5, 0.1, this.simulation.audioGain, (val) => this.simulation.audioGain = val);
+        const bandOptions = [
+            { value: 'bass', text: 'Bass' },
+            { value: 'lowMid', text: 'Low Mid' },
+            { value: 'highMid', text: 'High Mid' },
+            { value: 'treble', text: 'Treble' }
+        ];
+        controls.audioActivity = createSelect('Audio Activity', [
+            { value: 'off', text: 'Off' },
+            { value: 'groups', text: 'Band Groups' },
+            ...bandOptions
+        ], this.simulation.audioActivity, (val) => this.simulation.audioActivity = val);
+        controls.audioParticles = createSelect('Audio Particles', [{ value: 'off', text: 'Off' }, ...bandOptions], this.simulation.audioParticles, (val) => this.simulation.audioParticles = val);
+        controls.audioRipples = createSelect('Audio Ripples', [{ value: 'off', text: 'Off' }, ...bandOptions], this.simulation.audioRipples, (val) => this.simulation.audioRipples = val);
+        // Audio source (live input only, not stored in presets)
+        const audioFileInput = document.createElement('input');
+        audioFileInput.type = 'file';
+        audioFileInput.accept = 'audio/*';
+        audioFileInput.style.display = 'none';
+        const audioSourceSelect = createSelect('Audio Source', [
+            { value: 'off', text: 'Off' },
+            { value: 'microphone', text: 'Microphone' },
+            { value: 'file', text: 'Audio File...' }
+        ], 'off', (val) => {
+            if (val === 'file') {
+                audioFileInput.value = '';
+                audioFileInput.click();
+                return;
+            }
+            this.setAudioSource(val === 'microphone' ? 'microphone' : null).catch(() => audioSourceSelect.value = 'off');
+        });
+        audioFileInput.addEventListener('change', () => {
+            const file = audioFileInput.files?.[0];
+            if (!file)
+                return;
+            this.setAudioSource(file).catch(() => audioSourceSelect.value = 'off');
+        });
+        audioFileInput.addEventListener('cancel', () => {
+            if (!this.audioInput)
+                audioSourceSelect.value = 'off';
+        });
+        content.appendChild(audioFileInput);
+        // Live level per band, lowest first
+        const audioMeter = document.createElement('div');
+        audioMeter.style.cssText = 'display: flex; align-items: flex-end; gap: 3px; height: 24px; margin-bottom: 8px; background: #222; border-radius: 3px; padding: 2px;';
+        this.audioMeterBars = bandOptions.map(option => {
+            const bar = document.createElement('div');
+            bar.title = option.text;
+            bar.style.cssText = 'flex: 1; height: 0%; background: #4fc3f7; border-radius: 2px;';
+            audioMeter.appendChild(bar);
+            return bar;
+        });
+        content.appendChild(audioMeter);
+        // Procedural sound controls
+        controls.soundVolume = createSlider('Sound Volume', 0, 1, 0.05, this.soundVolume, (val) => {
+            this.soundVolume = val;
+            this.updateSound();
+        });
+        controls.soundScale = createSelect('Sound Scale', [
+            { value: 'pentatonic', text: 'Pentatonic' },
+            { value: 'minorPentatonic', text: 'Minor Pentatonic' },
+            { value: 'major', text: 'Major' },
+            { value: 'minor', text: 'Minor' },
+            { value: 'chromatic', text: 'Chromatic' }
+        ], this.soundScale, (val) => {
+            this.soundScale = val;
+            this.updateSound();
+        });
+        controls.soundKey = createSelect('Sound Key', soundKeys.map(key => ({ value: key, text: key })), this.soundKey, (val) => {
+            this.soundKey = val;
+            this.updateSound();
+        });
         // Color controls
-        const nodeColorPicker = createColorPicker('Node Color', this.nodeColor, (val) => {
-            this.nodeColor = val;
-            this.updateNodeColors();
+        const nodeColorPicker = createColorPicker('Node Color', this.simulation.nodeColor, (val) => {
+            this.simulation.nodeColor = val;
+            this.simulation.updateNodeColors();
         });
         const connectionColorPicker = createColorPicker('Connection Color', this.connectionColor, (val) => {
             this.connectionColor = val;
@@ -342,6 +1120,99 @@ class NeuralNetworkAnimation {
             this.backgroundColor = val;
             this.scene.background = new THREE.Color(this.backgroundColor);
         });
+        // Color pickers double as MIDI/OSC targets, where a knob sweeps the hue
+        controls.nodeColor = nodeColorPicker;
+        controls.connectionColor = connectionColorPicker;
+        controls.particleColor = particleColorPicker;
+        controls.rippleColor = rippleColorPicker;
+        controls.backgroundColor = backgroundColorPicker;
+        // MIDI and OSC: Learn, click a slider, color or preset, then move a knob to bind it
+        const controllerContainer = document.createElement('div');
+        controllerContainer.style.cssText = 'display: flex; gap: 5px; margin-bottom: 8px;';
+        const controllerButtonStyle = 'flex: 1; background: #666; color: white; border: none; border-radius: 3px; cursor: pointer; font-size: 11px; padding: 3px 8px;';
+        const midiButton = document.createElement('button');
+        midiButton.textContent = 'Enable MIDI';
+        midiButton.style.cssText = controllerButtonStyle;
+        midiButton.addEventListener('click', () => this.connectMidi());
+        const learnButton = document.createElement('button');
+        learnButton.textContent = 'Learn';
+        learnButton.style.cssText = controllerButtonStyle;
+        learnButton.addEventListener('click', () => {
+            this.setControlLearning(!this.controlLearning);
+            learnButton.style.background = this.controlLearning ? '#ff9800' : '#666';
+        });
+        const clearMappingsButton = document.createElement('button');
+        clearMappingsButton.textContent = 'Clear';
+        clearMappingsButton.style.cssText = controllerButtonStyle;
+        clearMappingsButton.addEventListener('click', () => {
+            this.controlMappings = [];
+            this.updateControllerStatus();
+        });
+        controllerContainer.appendChild(midiButton);
+        controllerContainer.appendChild(learnButton);
+        controllerContainer.appendChild(clearMappingsButton);
+        content.appendChild(controllerContainer);
+        const oscContainer = document.createElement('div');
+        oscContainer.style.cssText = 'display: flex; gap: 5px; margin-bottom: 8px;';
+        const oscUrlInput = document.createElement('input');
+        oscUrlInput.type = 'text';
+        oscUrlInput.value = 'ws://localhost:8080';
+        oscUrlInput.title = 'WebSocket address of an OSC bridge';
+        oscUrlInput.style.cssText = 'flex: 1; min-width: 0; background: #333; color: white; border: 1px solid #555; border-radius: 3px; font-size: 11px; padding: 2px;';
+        const oscButton = document.createElement('button');
+        oscButton.textContent = 'OSC';
+        oscButton.style.cssText = 'background: #666; color: white; border: none; border-radius: 3px; cursor: pointer; font-size: 11px; padding: 3px 8px;';
+        oscButton.addEventListener('click', () => this.connectOsc(oscUrlInput.value.trim()));
+        oscContainer.appendChild(oscUrlInput);
+        oscContainer.appendChild(oscButton);
+        content.appendChild(oscContainer);
+        this.controllerStatus = document.createElement('div');
+        this.controllerStatus.style.cssText = 'color: #aaa; font-size: 11px; margin-bottom: 8px;';
+        content.appendChild(this.controllerStatus);
+        this.updateControllerStatus();
+        // While learning, clicking a slider or color picker makes it the next binding's target
+        content.addEventListener('pointerdown', (event) => {
+            if (!this.controlLearning)
+                return;
+            const key = Object.keys(controls).find(key => controls[key] === event.target);
+            const control = key ? controls[key] : null;
+            if (key && control instanceof HTMLInputElement && (control.type === 'range' || control.type === 'color')) {
+                this.setLearnTarget(key, control);
+            }
+        }, true);
+        // Seed for the random sequence, so a scene can be rebuilt exactly
+        const seedContainer = document.createElement('div');
+        seedContainer.style.cssText = 'display: flex; justify-content: space-between; align-items: center; gap: 5px; margin-bottom: 8px;';
+        const seedLabel = document.createElement('label');
+        seedLabel.textContent = 'Seed';
+        seedLabel.style.cssText = 'color: #e0e0e0; font-size: 12px;';
+        const seedInput = document.createElement('input');
+        seedInput.type = 'number';
+        seedInput.min = '0';
+        seedInput.step = '1';
+        seedInput.value = this.simulation.seed.toString();
+        seedInput.style.cssText = 'flex: 1; min-width: 0; background: #333; color: white; border: 1px solid #555; border-radius: 3px; font-size: 11px; padding: 2px;';
+        seedInput.addEventListener('change', () => {
+            const seed = parseInt(seedInput.value, 10);
+            if (Number.isFinite(seed)) {
+                this.setSeed(seed);
+            }
+            else {
+                seedInput.value = this.simulation.seed.toString();
+            }
+        });
+        const newSeedButton = document.createElement('button');
+        newSeedButton.textContent = 'New';
+        newSeedButton.style.cssText = 'background: #666; color: white; border: none; border-radius: 3px; cursor: pointer; font-size: 11px; padding: 3px 8px;';
+        newSeedButton.addEventListener('click', () => {
+            // Picking a fresh seed is the one place true randomness is wanted
+            this.setSeed(Math.floor(Math.random() * 4294967296));
+        });
+        seedContainer.appendChild(seedLabel);
+        seedContainer.appendChild(seedInput);
+        seedContainer.appendChild(newSeedButton);
+        content.appendChild(seedContainer);
+        controls.seed = seedInput;
         // Toggle for showing all connections
         const toggleContainer = document.createElement('div');
         toggleContainer.style.cssText = 'margin-bottom: 15px;';
@@ -353,8 +1224,9 @@ class NeuralNetworkAnimation {
         toggle.checked = this.showAllConnections;
         toggle.style.cssText = 'transform: scale(1.5); margin-right: 10px;';
         toggle.addEventListener('change', () => {
+            // Connections always exist so particles can travel; the toggle only hides the lines
             this.showAllConnections = toggle.checked;
-            this.updateConnections();
+            this.connectionSegments.visible = this.showAllConnections;
         });
         toggleContainer.appendChild(toggleLabel);
         toggleContainer.appendChild(toggle);
@@ -367,10 +1239,10 @@ class NeuralNetworkAnimation {
         particleToggleLabel.style.cssText = 'display: block; margin-bottom: 5px; color: #e0e0e0;';
         const particleToggle = document.createElement('input');
         particleToggle.type = 'checkbox';
-        particleToggle.checked = this.showParticles;
+        particleToggle.checked = this.simulation.showParticles;
         particleToggle.style.cssText = 'transform: scale(1.5); margin-right: 10px;';
         particleToggle.addEventListener('change', () => {
-            this.showParticles = particleToggle.checked;
+            this.simulation.showParticles = particleToggle.checked;
             this.updateParticleVisibility();
         });
         particleToggleContainer.appendChild(particleToggleLabel);
@@ -384,15 +1256,64 @@ class NeuralNetworkAnimation {
         rippleToggleLabel.style.cssText = 'display: block; margin-bottom: 5px; color: #e0e0e0;';
         const rippleToggle = document.createElement('input');
         rippleToggle.type = 'checkbox';
-        rippleToggle.checked = this.showRipples;
+        rippleToggle.checked = this.simulation.showRipples;
         rippleToggle.style.cssText = 'transform: scale(1.5); margin-right: 10px;';
         rippleToggle.addEventListener('change', () => {
-            this.showRipples = rippleToggle.checked;
+            this.simulation.showRipples = rippleToggle.checked;
             this.updateRippleVisibility();
         });
         rippleToggleContainer.appendChild(rippleToggleLabel);
         rippleToggleContainer.appendChild(rippleToggle);
         content.appendChild(rippleToggleContainer);
+        // Toggle for node-to-node collisions
+        const collisionToggleContainer = document.createElement('div');
+        collisionToggleContainer.style.cssText = 'margin-bottom: 15px;';
+        const collisionToggleLabel = document.createElement('label');
+        collisionToggleLabel.textContent = 'Node Collisions';
+        collisionToggleLabel.style.cssText = 'display: block; margin-bottom: 5px; color: #e0e0e0;';
+        const collisionToggle = document.createElement('input');
+        collisionToggle.type = 'checkbox';
+        collisionToggle.checked = this.simulation.nodeCollisions;
+        collisionToggle.style.cssText = 'transform: scale(1.5); margin-right: 10px;';
+        collisionToggle.addEventListener('change', () => {
+            this.simulation.nodeCollisions = collisionToggle.checked;
+        });
+        collisionToggleContainer.appendChild(collisionToggleLabel);
+        collisionToggleContainer.appendChild(collisionToggle);
+        content.appendChild(collisionToggleContainer);
+        // Toggle for ripples on node-to-node collisions
+        const collisionRippleToggleContainer = document.createElement('div');
+        collisionRippleToggleContainer.style.cssText = 'margin-bottom: 15px;';
+        const collisionRippleToggleLabel = document.createElement('label');
+        collisionRippleToggleLabel.textContent = 'Collision Ripples';
+        collisionRippleToggleLabel.style.cssText = 'display: block; margin-bottom: 5px; color: #e0e0e0;';
+        const collisionRippleToggle = document.createElement('input');
+        collisionRippleToggle.type = 'checkbox';
+        collisionRippleToggle.checked = this.simulation.collisionRipples;
+        collisionRippleToggle.style.cssText = 'transform: scale(1.5); margin-right: 10px;';
+        collisionRippleToggle.addEventListener('change', () => {
+            this.simulation.collisionRipples = collisionRippleToggle.checked;
+        });
+        collisionRippleToggleContainer.appendChild(collisionRippleToggleLabel);
+        collisionRippleToggleContainer.appendChild(collisionRippleToggle);
+        content.appendChild(collisionRippleToggleContainer);
+        // Toggle for the procedural sound layer
+        const muteToggleContainer = document.createElement('div');
+        muteToggleContainer.style.cssText = 'margin-bottom: 15px;';
+        const muteToggleLabel = document.createElement('label');
+        muteToggleLabel.textContent = 'Mute Sound';
+        muteToggleLabel.style.cssText = 'display: block; margin-bottom: 5px; color: #e0e0e0;';
+        const muteToggle = document.createElement('input');
+        muteToggle.type = 'checkbox';
+        muteToggle.checked = this.soundMuted;
+        muteToggle.style.cssText = 'transform: scale(1.5); margin-right: 10px;';
+        muteToggle.addEventListener('change', () => {
+            this.soundMuted = muteToggle.checked;
+            this.updateSound();
+        });
+        muteToggleContainer.appendChild(muteToggleLabel);
+        muteToggleContainer.appendChild(muteToggle);
+        content.appendChild(muteToggleContainer);
         // Reset button
         const resetButton = document.createElement('button');
         resetButton.textContent = 'Reset to Defaults';
@@ -408,68 +1329,136 @@ class NeuralNetworkAnimation {
       margin-top: 10px;
     `;
         resetButton.addEventListener('click', () => {
-            this.nodeCount = 12;
-            this.nodeSpeed = 0.5;
-            this.activitySpeed = 2.0;
+            this.simulation.nodeCount = 12;
+            this.simulation.nodeSpeed = 0.5;
+            this.simulation.activitySpeed = 2.0;
             this.connectionOpacity = 0.3;
-            this.spaceSize = 15;
-            this.mouseInfluenceRadius = 5.0;
+            this.simulation.spaceSize = 15;
+            this.simulation.mouseInfluenceRadius = 5.0;
             this.showAllConnections = true;
             this.backgroundColor = '#0a0a1a';
-            this.nodeColor = '#ff6b6b';
+            this.simulation.nodeColor = '#ff6b6b';
             this.connectionColor = '#4fc3f7';
-            this.particleCount = 8;
-            this.particleSpeed = 1.0;
+            this.simulation.particleCount = 8;
+            this.simulation.particleSpeed = 1.0;
             this.particleSize = 0.2;
             this.particleColor = '#ffff00';
-            this.showParticles = true;
-            this.rippleIntensity = 0.8;
-            this.rippleDuration = 2.0;
-            this.rippleSize = 1.0;
+            this.simulation.showParticles = true;
+            this.simulation.rippleIntensity = 0.8;
+            this.simulation.rippleDuration = 2.0;
+            this.simulation.rippleSize = 1.0;
             this.rippleColor = '#ffffff';
-            this.showRipples = true;
-            this.wallRestitution = 0.7;
-            this.wallFriction = 0.95;
+            this.simulation.showRipples = true;
+            this.simulation.wallRestitution = 0.7;
+            this.simulation.wallFriction = 0.95;
+            this.simulation.topology = null;
+            this.simulation.layoutMode = 'scatter';
+            this.simulation.layoutStrength = 1.0;
+            this.simulation.activationModel = 'wave';
+            this.simulation.spikeThreshold = 1.0;
+            this.simulation.spikeLeak = 0.5;
+            this.simulation.refractoryPeriod = 0.3;
+            this.simulation.nodeCollisions = true;
+            this.simulation.collisionRipples = true;
+            this.simulation.interactionStrength = 0.0;
+            this.simulation.interactionRadius = 4.0;
+            this.simulation.gravity = 0.0;
+            this.simulation.gravityMode = 'down';
+            this.simulation.airResistance = 0.0;
+            this.simulation.connectionMode = 'all';
+            this.simulation.connectionNeighbors = 4;
+            this.simulation.connectionDistance = 6.0;
+            this.lodDistance = 60;
+            this.simulation.particleBudget = 2000;
+            this.simulation.audioActivity = 'off';
+            this.simulation.audioParticles = 'off';
+            this.simulation.audioRipples = 'off';
+            this.simulation.audioGain = 1.0;
+            this.soundMuted = true;
+            this.soundVolume = 0.5;
+            this.soundScale = 'pentatonic';
+            this.soundKey = 'C';
+            this.updateSound();
+            this.simulation.seed = 1;
+            this.cameraBookmarks = [];
+            this.cameraPathDuration = 30;
+            this.autoOrbitSpeed = 6;
+            this.setCameraPath(null);
+            this.setCinematicMode('off');
+            this.refreshBookmarkSelect();
+            this.resetCameraView();
             // Update all controls
-            controls.nodeCount.value = this.nodeCount.toString();
-            controls.nodeSpeed.value = this.nodeSpeed.toString();
-            controls.activitySpeed.value = this.activitySpeed.toString();
+            controls.nodeCount.value = this.simulation.nodeCount.toString();
+            controls.nodeCount.disabled = false;
+            controls.nodeSpeed.value = this.simulation.nodeSpeed.toString();
+            controls.activitySpeed.value = this.simulation.activitySpeed.toString();
             controls.connectionOpacity.value = this.connectionOpacity.toString();
-            controls.spaceSize.value = this.spaceSize.toString();
-            controls.mouseInfluenceRadius.value = this.mouseInfluenceRadius.toString();
-            controls.particleCount.value = this.particleCount.toString();
-            controls.particleSpeed.value = this.particleSpeed.toString();
+            controls.spaceSize.value = this.simulation.spaceSize.toString();
+            controls.mouseInfluenceRadius.value = this.simulation.mouseInfluenceRadius.toString();
+            controls.particleCount.value = this.simulation.particleCount.toString();
+            controls.particleSpeed.value = this.simulation.particleSpeed.toString();
             controls.particleSize.value = this.particleSize.toString();
-            controls.rippleIntensity.value = this.rippleIntensity.toString();
-            controls.rippleDuration.value = this.rippleDuration.toString();
-            controls.rippleSize.value = this.rippleSize.toString();
-            controls.wallRestitution.value = this.wallRestitution.toString();
-            controls.wallFriction.value = this.wallFriction.toString();
+            controls.rippleIntensity.value = this.simulation.rippleIntensity.toString();
+            controls.rippleDuration.value = this.simulation.rippleDuration.toString();
+            controls.rippleSize.value = this.simulation.rippleSize.toString();
+            controls.wallRestitution.value = this.simulation.wallRestitution.toString();
+            controls.wallFriction.value = this.simulation.wallFriction.toString();
+            controls.gravity.value = this.simulation.gravity.toString();
+            controls.airResistance.value = this.simulation.airResistance.toString();
+            controls.gravityMode.value = this.simulation.gravityMode;
+            controls.layoutStrength.value = this.simulation.layoutStrength.toString();
+            controls.layoutMode.value = this.simulation.layoutMode;
+            controls.spikeThreshold.value = this.simulation.spikeThreshold.toString();
+            controls.spikeLeak.value = this.simulation.spikeLeak.toString();
+            controls.refractoryPeriod.value = this.simulation.refractoryPeriod.toString();
+            controls.activationModel.value = this.simulation.activationModel;
+            controls.interactionStrength.value = this.simulation.interactionStrength.toString();
+            controls.interactionRadius.value = this.simulation.interactionRadius.toString();
+            controls.connectionNeighbors.value = this.simulation.connectionNeighbors.toString();
+            controls.connectionDistance.value = this.simulation.connectionDistance.toString();
+            controls.lodDistance.value = this.lodDistance.toString();
+            controls.particleBudget.value = this.simulation.particleBudget.toString();
+            controls.connectionMode.value = this.simulation.connectionMode;
+            controls.cameraPathDuration.value = this.cameraPathDuration.toString();
+            controls.autoOrbitSpeed.value = this.autoOrbitSpeed.toString();
+            controls.audioGain.value = this.simulation.audioGain.toString();
+            controls.audioActivity.value = this.simulation.audioActivity;
+            controls.audioParticles.value = this.simulation.audioParticles;
+            controls.audioRipples.value = this.simulation.audioRipples;
+            controls.soundVolume.value = this.soundVolume.toString();
+            controls.soundScale.value = this.soundScale;
+            controls.soundKey.value = this.soundKey;
+            controls.seed.value = this.simulation.seed.toString();
             toggle.checked = this.showAllConnections;
-            particleToggle.checked = this.showParticles;
-            rippleToggle.checked = this.showRipples;
+            particleToggle.checked = this.simulation.showParticles;
+            rippleToggle.checked = this.simulation.showRipples;
+            collisionToggle.checked = this.simulation.nodeCollisions;
+            collisionRippleToggle.checked = this.simulation.collisionRipples;
+            muteToggle.checked = this.soundMuted;
             backgroundColorPicker.value = this.backgroundColor;
-            nodeColorPicker.value = this.nodeColor;
+            nodeColorPicker.value = this.simulation.nodeColor;
             connectionColorPicker.value = this.connectionColor;
             particleColorPicker.value = this.particleColor;
             rippleColorPicker.value = this.rippleColor;
             // Update displays
             panel.querySelectorAll('span').forEach((span, index) => {
-                const values = [this.nodeCount, this.nodeSpeed, this.activitySpeed, this.connectionOpacity, this.spaceSize, this.mouseInfluenceRadius, this.particleCount, this.particleSpeed, this.particleSize, this.rippleIntensity, this.rippleDuration, this.rippleSize, this.wallRestitution, this.wallFriction];
+                const values = [this.simulation.nodeCount, this.simulation.nodeSpeed, this.simulation.activitySpeed, this.connectionOpacity, this.simulation.spaceSize, this.simulation.mouseInfluenceRadius, this.simulation.particleCount, this.simulation.particleSpeed, this.particleSize, this.simulation.rippleIntensity, this.simulation.rippleDuration, this.simulation.rippleSize, this.simulation.wallRestitution, this.simulation.wallFriction, this.simulation.gravity, this.simulation.airResistance, this.simulation.layoutStrength, this.simulation.spikeThreshold, this.simulation.spikeLeak, this.simulation.refractoryPeriod, this.simulation.interactionStrength, this.simulation.interactionRadius, this.simulation.connectionNeighbors, this.simulation.connectionDistance, this.lodDistance, this.simulation.particleBudget, this.cameraPathDuration, this.autoOrbitSpeed, this.simulation.audioGain, this.soundVolume];
                 if (index < values.length) {
                     span.textContent = values[index].toFixed(2);
                 }
             });
             this.scene.background = new THREE.Color(this.backgroundColor);
-            this.updateNodeColors();
+            this.connectionSegments.visible = this.showAllConnections;
+            this.simulation.updateNodeColors();
             this.updateConnectionColors();
             this.updateParticleColors();
             this.updateParticleVisibility();
             this.updateRippleColors();
             this.updateRippleVisibility();
-            this.clearAllParticles();
+            this.simulation.clearParticles();
             this.clearAllRipples();
-            this.recreateNodes();
+            this.recreateBoxEnvironment();
+            this.simulation.reset();
         });
         content.appendChild(resetButton);
         // Add content to panel
@@ -485,150 +1474,160 @@ class NeuralNetworkAnimation {
                 panel.style.minWidth = 'auto';
             }
             else {
-                content.style.maxHeight = '1000px';
+                content.style.maxHeight = '4000px';
                 content.style.opacity = '1';
                 collapseButton.textContent = '−';
                 panel.style.minWidth = '280px';
             }
         });
         // Set initial state
-        content.style.maxHeight = '1000px';
+        content.style.maxHeight = '4000px';
         content.style.opacity = '1';
-        document.body.appendChild(panel);
+        this.container.appendChild(panel);
         // Create separate preset panel on the right
         this.createPresetPanel();
         this.controlPanel = { element: panel, controls };
     }
-    createNodes() {
+    createNodeMesh(capacity) {
+        // White base material, the per-instance color carries the node color
         const geometry = new THREE.BoxGeometry(0.8, 0.8, 0.8);
-        // Calculate camera frustum dimensions at the desired depth to cover full screen
-        const depth = 20; // Distance from camera where nodes will be placed
-        const fov = this.camera.fov * Math.PI / 180;
-        const aspect = this.camera.aspect;
-        const height = 2 * Math.tan(fov / 2) * depth;
-        const width = height * aspect;
-        // Use full screen dimensions (no reduction factor)
-        const positions = this.generatePoissonDiskSampling(this.nodeCount, width, height, depth * 0.8);
-        for (let i = 0; i < this.nodeCount; i++) {
-            // Create node material with the selected node color
-            const baseColor = new THREE.Color(this.nodeColor);
-            const material = new THREE.MeshLambertMaterial({ color: baseColor });
-            const mesh = new THREE.Mesh(geometry, material);
-            // Use pre-calculated position or fallback to random
-            const position = positions[i] || new THREE.Vector3((Math.random() - 0.5) * width, (Math.random() - 0.5) * height, (Math.random() - 0.5) * depth * 0.8);
-            mesh.position.copy(position);
-            const nodeData = {
-                mesh,
-                position: position.clone(),
-                velocity: new THREE.Vector3((Math.random() - 0.5) * 0.3, (Math.random() - 0.5) * 0.3, (Math.random() - 0.5) * 0.2),
-                targetPosition: position.clone(),
-                connections: [],
-                activity: Math.random(),
-                baseColor: baseColor.clone(),
-                mass: 1.0 + Math.random() * 0.5, // Random mass between 1.0 and 1.5
-                restitution: 0.6 + Math.random() * 0.3, // Random bounciness between 0.6 and 0.9
-                friction: 0.9 + Math.random() * 0.1, // Random friction between 0.9 and 1.0
-                angularVelocity: new THREE.Vector3((Math.random() - 0.5) * 0.02, (Math.random() - 0.5) * 0.02, (Math.random() - 0.5) * 0.02),
-                lastCollisionTime: 0
-            };
-            this.nodes.push(nodeData);
-            this.scene.add(mesh);
-        }
-        this.updateConnections();
-    }
-    generatePoissonDiskSampling(numPoints, width, height, depth) {
-        const points = [];
-        const minDistance = Math.min(width, height, depth) / Math.sqrt(numPoints) * 0.8;
-        const maxAttempts = 30;
-        // Start with a random point
-        if (numPoints > 0) {
-            points.push(new THREE.Vector3((Math.random() - 0.5) * width, (Math.random() - 0.5) * height, (Math.random() - 0.5) * depth));
-        }
-        // Generate remaining points
-        while (points.length < numPoints) {
-            let placed = false;
-            for (let attempt = 0; attempt < maxAttempts && !placed; attempt++) {
-                const candidate = new THREE.Vector3((Math.random() - 0.5) * width, (Math.random() - 0.5) * height, (Math.random() - 0.5) * depth);
-                // Check if candidate is far enough from existing points
-                let validPosition = true;
-                for (const existingPoint of points) {
-                    if (candidate.distanceTo(existingPoint) < minDistance) {
-                        validPosition = false;
-                        break;
-                    }
-                }
-                if (validPosition) {
-                    points.push(candidate);
-                    placed = true;
-                }
-            }
-            // If we can't place a point after max attempts, reduce min distance slightly
-            if (!placed) {
-                const relaxedDistance = minDistance * 0.9;
-                for (let attempt = 0; attempt < maxAttempts && !placed; attempt++) {
-                    const candidate = new THREE.Vector3((Math.random() - 0.5) * width, (Math.random() - 0.5) * height, (Math.random() - 0.5) * depth);
-                    let validPosition = true;
-                    for (const existingPoint of points) {
-                        if (candidate.distanceTo(existingPoint) < relaxedDistance) {
-                            validPosition = false;
-                            break;
-                        }
-                    }
-                    if (validPosition) {
-                        points.push(candidate);
-                        placed = true;
-                    }
-                }
-            }
-            // Fallback: if still can't place, just add a random point
-            if (!placed) {
-                points.push(new THREE.Vector3((Math.random() - 0.5) * width, (Math.random() - 0.5) * height, (Math.random() - 0.5) * depth));
-            }
-        }
+        const material = new THREE.MeshLambertMaterial({ color: 0xffffff });
+        const mesh = new THREE.InstancedMesh(geometry, material, capacity);
+        mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        mesh.setColorAt(0, new THREE.Color()); // Allocates the instance color buffer
+        mesh.count = 0;
+        return mesh;
+    }
+    createNodePoints(capacity) {
+        // Distant nodes are drawn as unlit points instead of lit boxes
+        const geometry = new THREE.BufferGeometry();
+        const positions = new THREE.BufferAttribute(new Float32Array(capacity * 3), 3);
+        const colors = new THREE.BufferAttribute(new Float32Array(capacity * 3), 3);
+        positions.setUsage(THREE.DynamicDrawUsage);
+        colors.setUsage(THREE.DynamicDrawUsage);
+        geometry.setAttribute('position', positions);
+        geometry.setAttribute('color', colors);
+        geometry.setDrawRange(0, 0);
+        const material = new THREE.PointsMaterial({ size: 0.8, sizeAttenuation: true, vertexColors: true });
+        const points = new THREE.Points(geometry, material);
+        points.frustumCulled = false;
         return points;
     }
-    updateConnections() {
-        // Clear existing connections
-        this.connectionLines.clear();
-        this.nodes.forEach(node => node.connections = []);
-        if (!this.showAllConnections)
-            return;
-        // Create connections between all nodes
-        for (let i = 0; i < this.nodes.length; i++) {
-            for (let j = i + 1; j < this.nodes.length; j++) {
-                const nodeA = this.nodes[i];
-                const nodeB = this.nodes[j];
-                const geometry = new THREE.BufferGeometry().setFromPoints([
-                    nodeA.position,
-                    nodeB.position
-                ]);
-                const material = new THREE.LineBasicMaterial({
-                    color: new THREE.Color(this.connectionColor),
-                    opacity: this.connectionOpacity,
-                    transparent: true
-                });
-                const line = new THREE.Line(geometry, material);
-                nodeA.connections.push(line);
-                this.connectionLines.add(line);
-            }
+    createParticleMesh(capacity) {
+        // Unit sphere scaled per instance, with a per-instance opacity attribute for fading
+        const geometry = new THREE.SphereGeometry(1, 8, 6);
+        const opacities = new THREE.InstancedBufferAttribute(new Float32Array(capacity), 1);
+        opacities.setUsage(THREE.DynamicDrawUsage);
+        geometry.setAttribute('instanceOpacity', opacities);
+        const material = new THREE.ShaderMaterial({
+            vertexShader: `
+        attribute float instanceOpacity;
+        varying vec3 vColor;
+        varying float vOpacity;
+        void main() {
+          #ifdef USE_INSTANCING_COLOR
+            vColor = instanceColor;
+          #else
+            vColor = vec3(1.0);
+          #endif
+          vOpacity = instanceOpacity;
+          gl_Position = projectionMatrix * modelViewMatrix * instanceMatrix * vec4(position, 1.0);
         }
-    }
-    updateNodeColors() {
-        const newColor = new THREE.Color(this.nodeColor);
-        this.nodes.forEach(node => {
-            node.baseColor = newColor.clone();
-            node.mesh.material.color.copy(newColor);
+      `,
+            fragmentShader: `
+        varying vec3 vColor;
+        varying float vOpacity;
+        void main() {
+          gl_FragColor = vec4(vColor, vOpacity);
+          #include <colorspace_fragment>
+        }
+      `,
+            transparent: true,
+            depthWrite: false
         });
+        const mesh = new THREE.InstancedMesh(geometry, material, capacity);
+        mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        mesh.setColorAt(0, new THREE.Color());
+        mesh.count = 0;
+        mesh.visible = this.simulation.showParticles;
+        return mesh;
+    }
+    createConnectionSegments(capacity) {
+        // Two vertices per connection; RGBA vertex colors carry per-line opacity
+        const geometry = new THREE.BufferGeometry();
+        const positions = new THREE.BufferAttribute(new Float32Array(capacity * 2 * 3), 3);
+        const colors = new THREE.BufferAttribute(new Float32Array(capacity * 2 * 4), 4);
+        positions.setUsage(THREE.DynamicDrawUsage);
+        colors.setUsage(THREE.DynamicDrawUsage);
+        geometry.setAttribute('position', positions);
+        geometry.setAttribute('color', colors);
+        geometry.setDrawRange(0, 0);
+        const material = new THREE.LineBasicMaterial({ vertexColors: true, transparent: true });
+        const segments = new THREE.LineSegments(geometry, material);
+        segments.frustumCulled = false; // The buffer is rewritten every frame, so its bounds are never current
+        segments.visible = this.showAllConnections;
+        return segments;
+    }
+    ensureNodeCapacity(count) {
+        const capacity = this.nodeMesh.instanceMatrix.count;
+        if (count <= capacity)
+            return;
+        let newCapacity = capacity;
+        while (newCapacity < count)
+            newCapacity *= 2;
+        this.scene.remove(this.nodeMesh);
+        this.disposeInstancedMesh(this.nodeMesh);
+        this.nodeMesh = this.createNodeMesh(newCapacity);
+        this.scene.add(this.nodeMesh);
+    }
+    ensureNodePointCapacity(count) {
+        const capacity = this.nodePoints.geometry.getAttribute('position').count;
+        if (count <= capacity)
+            return;
+        let newCapacity = capacity;
+        while (newCapacity < count)
+            newCapacity *= 2;
+        this.scene.remove(this.nodePoints);
+        this.nodePoints.geometry.dispose();
+        this.nodePoints.material.dispose();
+        this.nodePoints = this.createNodePoints(newCapacity);
+        this.scene.add(this.nodePoints);
+    }
+    ensureParticleCapacity(count) {
+        const capacity = this.particleMesh.instanceMatrix.count;
+        if (count <= capacity)
+            return;
+        let newCapacity = capacity;
+        while (newCapacity < count)
+            newCapacity *= 2;
+        this.scene.remove(this.particleMesh);
+        this.disposeInstancedMesh(this.particleMesh);
+        this.particleMesh = this.createParticleMesh(newCapacity);
+        this.scene.add(this.particleMesh);
+    }
+    ensureConnectionCapacity(count) {
+        const capacity = this.connectionSegments.geometry.getAttribute('position').count / 2;
+        if (count <= capacity)
+            return;
+        let newCapacity = capacity;
+        while (newCapacity < count)
+            newCapacity *= 2;
+        this.scene.remove(this.connectionSegments);
+        this.connectionSegments.geometry.dispose();
+        this.connectionSegments.material.dispose();
+        this.connectionSegments = this.createConnectionSegments(newCapacity);
+        this.scene.add(this.connectionSegments);
+    }
+    disposeInstancedMesh(mesh) {
+        mesh.geometry.dispose();
+        mesh.material.dispose();
+        mesh.dispose();
     }
     updateConnectionColors() {
-        const newColor = new THREE.Color(this.connectionColor);
-        this.connectionLines.children.forEach(child => {
-            const line = child;
-            line.material.color.copy(newColor);
-        });
+        this.connectionRenderColor.set(this.connectionColor);
     }
-    createRipple(position, normal, wallType) {
-        const rippleRadius = 4.0 * this.rippleIntensity * this.rippleSize;
+    createRippleMesh(ripple) {
+        const { position, wallType } = ripple;
         // Create a more blurred, soft ripple using a circle with gradient
         const geometry = new THREE.CircleGeometry(0.1, 32);
         // Create a custom shader material for a soft, blurred glow effect
@@ -678,379 +1677,324 @@ class NeuralNetworkAnimation {
         else if (wallType === 'left' || wallType === 'right') {
             mesh.rotation.y = wallType === 'left' ? Math.PI / 2 : -Math.PI / 2;
         }
+        else if (wallType === 'node') {
+            // Node-to-node impacts happen mid-air, so face the camera
+            mesh.lookAt(this.camera.position);
+        }
         // back wall needs no rotation (default orientation)
         this.rippleGroup.add(mesh);
-        return {
-            mesh,
-            position: position.clone(),
-            normal: normal.clone(),
-            age: 0,
-            maxAge: this.rippleDuration,
-            maxRadius: rippleRadius,
-            wallType
-        };
+        return mesh;
     }
-    createParticle(startNode, endNode) {
-        const geometry = new THREE.SphereGeometry(this.particleSize, 8, 6);
-        const material = new THREE.MeshBasicMaterial({
-            color: new THREE.Color(this.particleColor),
-            transparent: true,
-            opacity: 1.0
+    updateRippleMeshes() {
+        // Free meshes whose ripple the simulation has retired
+        const live = new Set(this.simulation.ripples);
+        this.rippleMeshes.forEach((mesh, ripple) => {
+            if (live.has(ripple))
+                return;
+            this.rippleGroup.remove(mesh);
+            mesh.geometry.dispose();
+            mesh.material.dispose();
+            this.rippleMeshes.delete(ripple);
         });
-        const mesh = new THREE.Mesh(geometry, material);
-        mesh.position.copy(startNode.position);
-        this.particleGroup.add(mesh);
-        return {
-            mesh,
-            startNode,
-            endNode,
-            progress: 0,
-            speed: this.particleSpeed * (0.5 + Math.random() * 0.5), // Random speed variation
-            lifespan: 3.0, // 3 seconds lifespan
-            age: 0
-        };
-    }
-    updateParticles() {
-        const deltaTime = 1 / 60; // Fixed 60 FPS delta time for consistent behavior
-        // Update existing particles
-        for (let i = this.particles.length - 1; i >= 0; i--) {
-            const particle = this.particles[i];
-            particle.age += deltaTime;
-            particle.progress += particle.speed * deltaTime;
-            // Remove particles that have completed their journey or exceeded lifespan
-            if (particle.progress >= 1.0 || particle.age >= particle.lifespan) {
-                this.particleGroup.remove(particle.mesh);
-                particle.mesh.geometry.dispose();
-                particle.mesh.material.dispose();
-                this.particles.splice(i, 1);
-                continue;
+        for (const ripple of this.simulation.ripples) {
+            let mesh = this.rippleMeshes.get(ripple);
+            if (!mesh) {
+                mesh = this.createRippleMesh(ripple);
+                this.rippleMeshes.set(ripple, mesh);
             }
-            // Update particle position along the connection line
-            const startPos = particle.startNode.position;
-            const endPos = particle.endNode.position;
-            particle.mesh.position.lerpVectors(startPos, endPos, particle.progress);
-            // Fade out particle as it ages
-            const fadeProgress = particle.age / particle.lifespan;
-            const opacity = 0.8 * (1 - fadeProgress * fadeProgress);
-            particle.mesh.material.opacity = opacity;
-        }
-        // Create new particles based on node activity
-        if (this.showParticles && this.nodes.length > 1) {
-            const totalConnections = (this.nodes.length * (this.nodes.length - 1)) / 2;
-            const spawnProbability = (this.particleCount * deltaTime * 2) / totalConnections; // Increased spawn rate
-            for (let i = 0; i < this.nodes.length; i++) {
-                for (let j = i + 1; j < this.nodes.length; j++) {
-                    const nodeA = this.nodes[i];
-                    const nodeB = this.nodes[j];
-                    // Higher activity nodes are more likely to spawn particles
-                    const activityFactor = Math.max(0.3, (nodeA.activity + nodeB.activity) * 0.5); // Minimum activity
-                    const finalProbability = spawnProbability * activityFactor;
-                    if (Math.random() < finalProbability) {
-                        // Randomly choose direction
-                        const startNode = Math.random() < 0.5 ? nodeA : nodeB;
-                        const endNode = startNode === nodeA ? nodeB : nodeA;
-                        this.particles.push(this.createParticle(startNode, endNode));
-                    }
-                }
-            }
-        }
-    }
-    updateRipples() {
-        const deltaTime = 1 / 60; // Fixed 60 FPS delta time for consistent behavior
-        // Update existing ripples
-        for (let i = this.ripples.length - 1; i >= 0; i--) {
-            const ripple = this.ripples[i];
-            ripple.age += deltaTime;
-            // Remove ripples that have exceeded their lifespan
-            if (ripple.age >= ripple.maxAge) {
-                this.rippleGroup.remove(ripple.mesh);
-                ripple.mesh.geometry.dispose();
-                ripple.mesh.material.dispose();
-                this.ripples.splice(i, 1);
-                continue;
-            }
-            // Update ripple size and opacity
-            const progress = ripple.age / ripple.maxAge;
-            const currentScale = ripple.maxRadius * progress;
-            const opacity = 0.6 * (1 - progress * progress * progress); // Fade out with cubic curve for softer transition
             // Scale the mesh to expand the ripple
-            ripple.mesh.scale.setScalar(currentScale);
+            mesh.scale.setScalar(ripple.radius);
             // Update shader material opacity
-            const material = ripple.mesh.material;
-            material.uniforms.opacity.value = opacity;
-            material.uniforms.radius.value = currentScale;
+            const material = mesh.material;
+            material.uniforms.opacity.value = ripple.opacity;
+            material.uniforms.radius.value = ripple.radius;
         }
     }
     updateParticleCount() {
         // This method is called when particle count changes
         // The actual particle spawning is handled in updateParticles()
     }
-    updateParticleSize() {
-        // Update size of existing particles
-        this.particles.forEach(particle => {
-            particle.mesh.scale.setScalar(this.particleSize / 0.2); // 0.2 is the base size
-        });
-    }
     updateParticleColors() {
-        const newColor = new THREE.Color(this.particleColor);
-        this.particles.forEach(particle => {
-            particle.mesh.material.color.copy(newColor);
-        });
+        this.particleRenderColor.set(this.particleColor);
     }
     updateParticleVisibility() {
-        this.particleGroup.visible = this.showParticles;
-        if (!this.showParticles) {
+        this.particleMesh.visible = this.simulation.showParticles;
+        if (!this.simulation.showParticles) {
             // Clear all particles when disabled
-            this.clearAllParticles();
+            this.simulation.clearParticles();
         }
     }
     updateRippleColors() {
         const newColor = new THREE.Color(this.rippleColor);
-        this.ripples.forEach(ripple => {
-            const material = ripple.mesh.material;
+        this.rippleMeshes.forEach(mesh => {
+            const material = mesh.material;
             material.uniforms.color.value.copy(newColor);
         });
     }
     updateRippleVisibility() {
-        this.rippleGroup.visible = this.showRipples;
-        if (!this.showRipples) {
+        this.rippleGroup.visible = this.simulation.showRipples;
+        if (!this.simulation.showRipples) {
             // Clear all ripples when disabled
             this.clearAllRipples();
         }
     }
     clearAllRipples() {
-        this.ripples.forEach(ripple => {
-            this.rippleGroup.remove(ripple.mesh);
-            ripple.mesh.geometry.dispose();
-            ripple.mesh.material.dispose();
-        });
-        this.ripples = [];
-    }
-    clearAllParticles() {
-        this.particles.forEach(particle => {
-            this.particleGroup.remove(particle.mesh);
-            particle.mesh.geometry.dispose();
-            particle.mesh.material.dispose();
-        });
-        this.particles = [];
+        this.simulation.clearRipples();
+        this.updateRippleMeshes();
     }
     getCurrentPreset() {
         return {
             name: this.currentPresetName,
-            nodeCount: this.nodeCount,
-            nodeSpeed: this.nodeSpeed,
-            activitySpeed: this.activitySpeed,
+            version: presetVersion,
+            ...this.presetMetadata,
+            nodeCount: this.simulation.nodeCount,
+            nodeSpeed: this.simulation.nodeSpeed,
+            activitySpeed: this.simulation.activitySpeed,
             connectionOpacity: this.connectionOpacity,
-            spaceSize: this.spaceSize,
-            mouseInfluenceRadius: this.mouseInfluenceRadius,
+            spaceSize: this.simulation.spaceSize,
+            mouseInfluenceRadius: this.simulation.mouseInfluenceRadius,
             backgroundColor: this.backgroundColor,
-            nodeColor: this.nodeColor,
+            nodeColor: this.simulation.nodeColor,
             connectionColor: this.connectionColor,
             showAllConnections: this.showAllConnections,
-            particleCount: this.particleCount,
-            particleSpeed: this.particleSpeed,
+            particleCount: this.simulation.particleCount,
+            particleSpeed: this.simulation.particleSpeed,
             particleSize: this.particleSize,
             particleColor: this.particleColor,
-            showParticles: this.showParticles,
-            rippleIntensity: this.rippleIntensity,
-            rippleDuration: this.rippleDuration,
-            rippleSize: this.rippleSize,
+            showParticles: this.simulation.showParticles,
+            rippleIntensity: this.simulation.rippleIntensity,
+            rippleDuration: this.simulation.rippleDuration,
+            rippleSize: this.simulation.rippleSize,
             rippleColor: this.rippleColor,
-            showRipples: this.showRipples,
-            wallRestitution: this.wallRestitution,
-            wallFriction: this.wallFriction
+            showRipples: this.simulation.showRipples,
+            wallRestitution: this.simulation.wallRestitution,
+            wallFriction: this.simulation.wallFriction,
+            topology: this.simulation.topology,
+            layoutMode: this.simulation.layoutMode,
+            layoutStrength: this.simulation.layoutStrength,
+            activationModel: this.simulation.activationModel,
+            spikeThreshold: this.simulation.spikeThreshold,
+            spikeLeak: this.simulation.spikeLeak,
+            refractoryPeriod: this.simulation.refractoryPeriod,
+            nodeCollisions: this.simulation.nodeCollisions,
+            collisionRipples: this.simulation.collisionRipples,
+            interactionStrength: this.simulation.interactionStrength,
+            interactionRadius: this.simulation.interactionRadius,
+            gravity: this.simulation.gravity,
+            gravityMode: this.simulation.gravityMode,
+            airResistance: this.simulation.airResistance,
+            connectionMode: this.simulation.connectionMode,
+            connectionNeighbors: this.simulation.connectionNeighbors,
+            connectionDistance: this.simulation.connectionDistance,
+            lodDistance: this.lodDistance,
+            particleBudget: this.simulation.particleBudget,
+            cameraBookmarks: this.cameraBookmarks,
+            cinematicMode: this.cinematicMode,
+            cameraPath: this.cameraPath,
+            cameraPathDuration: this.cameraPathDuration,
+            autoOrbitSpeed: this.autoOrbitSpeed,
+            audioActivity: this.simulation.audioActivity,
+            audioParticles: this.simulation.audioParticles,
+            audioRipples: this.simulation.audioRipples,
+            audioGain: this.simulation.audioGain,
+            soundMuted: this.soundMuted,
+            soundVolume: this.soundVolume,
+            soundScale: this.soundScale,
+            soundKey: this.soundKey,
+            controlMappings: this.controlMappings,
+            seed: this.simulation.seed
         };
     }
     applyPreset(preset) {
         this.currentPresetName = preset.name;
-        this.nodeCount = preset.nodeCount;
-        this.nodeSpeed = preset.nodeSpeed;
-        this.activitySpeed = preset.activitySpeed;
+        this.setPresetMetadata(preset);
+        // The simulation rebuilds its nodes from the new parameters
+        this.simulation.applyPreset(preset);
         this.connectionOpacity = preset.connectionOpacity;
-        this.spaceSize = preset.spaceSize;
-        this.mouseInfluenceRadius = preset.mouseInfluenceRadius;
         this.backgroundColor = preset.backgroundColor;
-        this.nodeColor = preset.nodeColor;
         this.connectionColor = preset.connectionColor;
         this.showAllConnections = preset.showAllConnections;
-        this.particleCount = preset.particleCount;
-        this.particleSpeed = preset.particleSpeed;
         this.particleSize = preset.particleSize;
         this.particleColor = preset.particleColor;
-        this.showParticles = preset.showParticles;
-        this.rippleIntensity = preset.rippleIntensity;
-        this.rippleDuration = preset.rippleDuration;
-        this.rippleSize = preset.rippleSize;
         this.rippleColor = preset.rippleColor;
-        this.showRipples = preset.showRipples;
-        this.wallRestitution = preset.wallRestitution;
-        this.wallFriction = preset.wallFriction;
+        this.lodDistance = preset.lodDistance ?? 60;
+        this.cameraBookmarks = preset.cameraBookmarks ?? [];
+        this.refreshBookmarkSelect();
+        this.cameraPathDuration = preset.cameraPathDuration ?? 30;
+        this.autoOrbitSpeed = preset.autoOrbitSpeed ?? 6;
+        this.soundMuted = preset.soundMuted ?? true;
+        this.soundVolume = preset.soundVolume ?? 0.5;
+        this.soundScale = preset.soundScale ?? 'pentatonic';
+        this.soundKey = preset.soundKey ?? 'C';
+        this.updateSound();
+        this.controlMappings = preset.controlMappings ?? this.controlMappings;
+        this.updateControllerStatus();
+        this.setCameraPath(preset.cameraPath ?? null);
+        this.setCinematicMode(preset.cinematicMode ?? 'off');
         // Update visual elements
         this.scene.background = new THREE.Color(this.backgroundColor);
-        this.updateNodeColors();
+        this.connectionSegments.visible = this.showAllConnections;
         this.updateConnectionColors();
         this.updateParticleColors();
         this.updateParticleVisibility();
         this.updateRippleColors();
         this.updateRippleVisibility();
-        this.clearAllParticles();
         this.clearAllRipples();
-        this.recreateNodes();
+        this.recreateBoxEnvironment();
     }
-    savePreset(name) {
+    async savePreset(name) {
         const preset = this.getCurrentPreset();
         preset.name = name;
-        const jsonData = JSON.stringify(preset, null, 2);
-        // Create a modal to show the JSON and instructions
-        const modal = document.createElement('div');
-        modal.style.cssText = `
-      position: fixed;
-      top: 0;
-      left: 0;
-      width: 100%;
-      height: 100%;
-      background: rgba(0, 0, 0, 0.8);
-      display: flex;
-      justify-content: center;
-      align-items: center;
-      z-index: 10000;
-    `;
-        const content = document.createElement('div');
-        content.style.cssText = `
-      background: #222;
-      color: white;
-      padding: 20px;
-      border-radius: 10px;
-      max-width: 600px;
-      max-height: 80%;
-      overflow-y: auto;
-      font-family: Arial, sans-serif;
-    `;
-        const title = document.createElement('h3');
-        title.textContent = `Save Preset: ${name}`;
-        title.style.cssText = 'margin: 0 0 15px 0; color: #4fc3f7;';
-        const instructions = document.createElement('p');
-        instructions.innerHTML = `
-      Copy the JSON below and save it as <strong>${name}.json</strong> in the <strong>presets</strong> folder, then refresh the page to see it in the dropdown.
-    `;
-        instructions.style.cssText = 'margin-bottom: 15px; line-height: 1.4;';
-        const textarea = document.createElement('textarea');
-        textarea.value = jsonData;
-        textarea.style.cssText = `
-      width: 100%;
-      height: 300px;
-      background: #333;
-      color: white;
-      border: 1px solid #555;
-      border-radius: 5px;
-      padding: 10px;
-      font-family: monospace;
-      font-size: 12px;
-      resize: vertical;
-    `;
-        textarea.readOnly = true;
-        textarea.select();
-        const buttonContainer = document.createElement('div');
-        buttonContainer.style.cssText = 'margin-top: 15px; text-align: right;';
-        const copyButton = document.createElement('button');
-        copyButton.textContent = 'Copy to Clipboard';
-        copyButton.style.cssText = `
-      background: #4fc3f7;
-      color: white;
-      border: none;
-      padding: 8px 15px;
-      border-radius: 5px;
-      cursor: pointer;
-      margin-right: 10px;
-    `;
-        copyButton.addEventListener('click', () => {
-            textarea.select();
-            document.execCommand('copy');
-            copyButton.textContent = 'Copied!';
-            setTimeout(() => {
-                copyButton.textContent = 'Copy to Clipboard';
-            }, 2000);
-        });
-        const closeButton = document.createElement('button');
-        closeButton.textContent = 'Close';
-        closeButton.style.cssText = `
-      background: #666;
-      color: white;
-      border: none;
-      padding: 8px 15px;
-      border-radius: 5px;
-      cursor: pointer;
-    `;
-        closeButton.addEventListener('click', () => {
-            document.body.removeChild(modal);
-        });
-        buttonContainer.appendChild(copyButton);
-        buttonContainer.appendChild(closeButton);
-        content.appendChild(title);
-        content.appendChild(instructions);
-        content.appendChild(textarea);
-        content.appendChild(buttonContainer);
-        modal.appendChild(content);
-        // Close modal when clicking outside
-        modal.addEventListener('click', (e) => {
-            if (e.target === modal) {
-                document.body.removeChild(modal);
-            }
-        });
-        document.body.appendChild(modal);
-        console.log(`Preset "${name}" JSON generated. Save to presets folder and refresh page.`);
-    }
-    loadPresetFromFile(file) {
-        const reader = new FileReader();
-        reader.onload = (e) => {
+        try {
+            if (await this.presetLibrary.has(name) && !confirm(`Replace your saved preset "${name}"?`))
+                return;
+            await this.presetLibrary.save(preset);
+            console.log(`Preset "${name}" saved to the browser library`);
+            await this.refreshPresetList(`${libraryPrefix}${name}`);
+        }
+        catch (error) {
+            console.error('Error saving preset:', error);
+            alert(`Could not save the preset: ${error.message}`);
+        }
+    }
+    loadPresetFromFile(file) {
+        const reader = new FileReader();
+        reader.onload = (e) => {
             try {
-                const preset = JSON.parse(e.target?.result);
+                const { preset, issues } = this.checkPreset(JSON.parse(e.target?.result), file.name);
                 this.applyPreset(preset);
                 this.updateControlPanel();
                 console.log(`Preset "${preset.name}" loaded successfully`);
+                if (issues.length > 0) {
+                    alert(`Preset loaded, but some fields were corrected:\n${formatPresetIssues(issues)}`);
+                }
             }
             catch (error) {
                 console.error('Error loading preset:', error);
-                alert('Error loading preset file. Please check the file format.');
+                alert(`Error loading preset file:\n${error.message}`);
             }
         };
         reader.readAsText(file);
     }
+    loadTopologyFromFile(file) {
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                this.simulation.topology = this.simulation.parseTopology(JSON.parse(e.target?.result));
+                this.simulation.clearParticles();
+                this.simulation.reset();
+                this.updateControlPanel();
+                console.log(`Topology "${this.simulation.topology.name ?? file.name}" loaded: ${this.simulation.topology.nodes.length} nodes, ${this.simulation.topology.edges.length} edges`);
+            }
+            catch (error) {
+                console.error('Error loading topology:', error);
+                alert(`Error loading topology file: ${error.message}`);
+            }
+        };
+        reader.readAsText(file);
+    }
+    clearTopology() {
+        if (!this.simulation.topology)
+            return;
+        this.simulation.topology = null;
+        this.simulation.clearParticles();
+        this.simulation.reset();
+        this.updateControlPanel();
+        console.log('Topology cleared, using full mesh');
+    }
     updateControlPanel() {
         // This method will update all control panel values after loading a preset
+        if (!this.controlPanel)
+            return;
         const panel = this.controlPanel.element;
         const controls = this.controlPanel.controls;
         // Update all slider values
-        if (controls.nodeCount)
-            controls.nodeCount.value = this.nodeCount.toString();
+        if (controls.nodeCount) {
+            controls.nodeCount.value = this.simulation.nodeCount.toString();
+            controls.nodeCount.disabled = this.simulation.topology !== null;
+        }
         if (controls.nodeSpeed)
-            controls.nodeSpeed.value = this.nodeSpeed.toString();
+            controls.nodeSpeed.value = this.simulation.nodeSpeed.toString();
         if (controls.activitySpeed)
-            controls.activitySpeed.value = this.activitySpeed.toString();
+            controls.activitySpeed.value = this.simulation.activitySpeed.toString();
         if (controls.connectionOpacity)
             controls.connectionOpacity.value = this.connectionOpacity.toString();
+        if (controls.spaceSize)
+            controls.spaceSize.value = this.simulation.spaceSize.toString();
         if (controls.mouseInfluenceRadius)
-            controls.mouseInfluenceRadius.value = this.mouseInfluenceRadius.toString();
+            controls.mouseInfluenceRadius.value = this.simulation.mouseInfluenceRadius.toString();
         if (controls.particleCount)
-            controls.particleCount.value = this.particleCount.toString();
+            controls.particleCount.value = this.simulation.particleCount.toString();
         if (controls.particleSpeed)
-            controls.particleSpeed.value = this.particleSpeed.toString();
+            controls.particleSpeed.value = this.simulation.particleSpeed.toString();
         if (controls.particleSize)
             controls.particleSize.value = this.particleSize.toString();
         if (controls.rippleIntensity)
-            controls.rippleIntensity.value = this.rippleIntensity.toString();
+            controls.rippleIntensity.value = this.simulation.rippleIntensity.toString();
         if (controls.rippleDuration)
-            controls.rippleDuration.value = this.rippleDuration.toString();
+            controls.rippleDuration.value = this.simulation.rippleDuration.toString();
         if (controls.rippleSize)
-            controls.rippleSize.value = this.rippleSize.toString();
+            controls.rippleSize.value = this.simulation.rippleSize.toString();
         if (controls.wallRestitution)
-            controls.wallRestitution.value = this.wallRestitution.toString();
+            controls.wallRestitution.value = this.simulation.wallRestitution.toString();
         if (controls.wallFriction)
-            controls.wallFriction.value = this.wallFriction.toString();
+            controls.wallFriction.value = this.simulation.wallFriction.toString();
+        if (controls.gravity)
+            controls.gravity.value = this.simulation.gravity.toString();
+        if (controls.airResistance)
+            controls.airResistance.value = this.simulation.airResistance.toString();
+        if (controls.gravityMode)
+            controls.gravityMode.value = this.simulation.gravityMode;
+        if (controls.layoutStrength)
+            controls.layoutStrength.value = this.simulation.layoutStrength.toString();
+        if (controls.layoutMode)
+            controls.layoutMode.value = this.simulation.layoutMode;
+        if (controls.spikeThreshold)
+            controls.spikeThreshold.value = this.simulation.spikeThreshold.toString();
+        if (controls.spikeLeak)
+            controls.spikeLeak.value = this.simulation.spikeLeak.toString();
+        if (controls.refractoryPeriod)
+            controls.refractoryPeriod.value = this.simulation.refractoryPeriod.toString();
+        if (controls.activationModel)
+            controls.activationModel.value = this.simulation.activationModel;
+        if (controls.interactionStrength)
+            controls.interactionStrength.value = this.simulation.interactionStrength.toString();
+        if (controls.interactionRadius)
+            controls.interactionRadius.value = this.simulation.interactionRadius.toString();
+        if (controls.connectionNeighbors)
+            controls.connectionNeighbors.value = this.simulation.connectionNeighbors.toString();
+        if (controls.connectionDistance)
+            controls.connectionDistance.value = this.simulation.connectionDistance.toString();
+        if (controls.lodDistance)
+            controls.lodDistance.value = this.lodDistance.toString();
+        if (controls.particleBudget)
+            controls.particleBudget.value = this.simulation.particleBudget.toString();
+        if (controls.connectionMode)
+            controls.connectionMode.value = this.simulation.connectionMode;
+        if (controls.cameraPathDuration)
+            controls.cameraPathDuration.value = this.cameraPathDuration.toString();
+        if (controls.autoOrbitSpeed)
+            controls.autoOrbitSpeed.value = this.autoOrbitSpeed.toString();
+        if (controls.audioGain)
+            controls.audioGain.value = this.simulation.audioGain.toString();
+        if (controls.audioActivity)
+            controls.audioActivity.value = this.simulation.audioActivity;
+        if (controls.audioParticles)
+            controls.audioParticles.value = this.simulation.audioParticles;
+        if (controls.audioRipples)
+            controls.audioRipples.value = this.simulation.audioRipples;
+        if (controls.soundVolume)
+            controls.soundVolume.value = this.soundVolume.toString();
+        if (controls.soundScale)
+            controls.soundScale.value = this.soundScale;
+        if (controls.soundKey)
+            controls.soundKey.value = this.soundKey;
+        if (controls.seed)
+            controls.seed.value = this.simulation.seed.toString();
         // Update color pickers
         const colorPickers = panel.querySelectorAll('input[type="color"]');
         colorPickers.forEach((picker, index) => {
-            const colors = [this.nodeColor, this.connectionColor, this.particleColor, this.rippleColor, this.backgroundColor];
+            const colors = [this.simulation.nodeColor, this.connectionColor, this.particleColor, this.rippleColor, this.backgroundColor];
             if (index < colors.length) {
                 picker.value = colors[index];
             }
@@ -1058,14 +2002,14 @@ class NeuralNetworkAnimation {
         // Update checkboxes
         const checkboxes = panel.querySelectorAll('input[type="checkbox"]');
         checkboxes.forEach((checkbox, index) => {
-            const values = [this.showAllConnections, this.showParticles, this.showRipples];
+            const values = [this.showAllConnections, this.simulation.showParticles, this.simulation.showRipples, this.simulation.nodeCollisions, this.simulation.collisionRipples, this.soundMuted];
             if (index < values.length) {
                 checkbox.checked = values[index];
             }
         });
         // Update value displays
         panel.querySelectorAll('span').forEach((span, index) => {
-            const values = [this.nodeCount, this.nodeSpeed, this.activitySpeed, this.connectionOpacity, this.spaceSize, this.mouseInfluenceRadius, this.particleCount, this.particleSpeed, this.particleSize, this.rippleIntensity, this.rippleDuration, this.rippleSize, this.wallRestitution, this.wallFriction];
+            const values = [this.simulation.nodeCount, this.simulation.nodeSpeed, this.simulation.activitySpeed, this.connectionOpacity, this.simulation.spaceSize, this.simulation.mouseInfluenceRadius, this.simulation.particleCount, this.simulation.particleSpeed, this.particleSize, this.simulation.rippleIntensity, this.simulation.rippleDuration, this.simulation.rippleSize, this.simulation.wallRestitution, this.simulation.wallFriction, this.simulation.gravity, this.simulation.airResistance, this.simulation.layoutStrength, this.simulation.spikeThreshold, this.simulation.spikeLeak, this.simulation.refractoryPeriod, this.simulation.interactionStrength, this.simulation.interactionRadius, this.simulation.connectionNeighbors, this.simulation.connectionDistance, this.lodDistance, this.simulation.particleBudget, this.cameraPathDuration, this.autoOrbitSpeed, this.simulation.audioGain, this.soundVolume];
             if (index < values.length) {
                 span.textContent = values[index].toFixed(2);
             }
@@ -1074,7 +2018,7 @@ class NeuralNetworkAnimation {
     createPresetPanel() {
         const presetPanel = document.createElement('div');
         presetPanel.style.cssText = `
-      position: fixed;
+      position: ${this.embedded ? 'absolute' : 'fixed'};
       top: 20px;
       left: 20px;
       background: rgba(0, 0, 0, 0.9);
@@ -1085,6 +2029,8 @@ class NeuralNetworkAnimation {
       font-size: 14px;
       z-index: 1000;
       min-width: 200px;
+      max-height: calc(${this.embedded ? '100%' : '100vh'} - 40px);
+      overflow-y: auto;
       backdrop-filter: blur(10px);
       border: 1px solid rgba(255, 255, 255, 0.1);
     `;
@@ -1106,47 +2052,49 @@ class NeuralNetworkAnimation {
       font-size: 12px;
       cursor: pointer;
     `;
-        // Add preset options - try to load all known presets
-        const defaultPresets = [
-            { name: 'Default', file: 'Default.json' },
-            { name: 'Calm Ocean', file: 'Calm Ocean.json' },
-            { name: 'Electric Storm', file: 'Electric Storm.json' },
-            { name: 'Dark Magic', file: 'Dark Magic.json' },
-            { name: 'Bright Night', file: 'Bright Night.json' },
-            { name: 'Green', file: 'Green.json' }
-        ];
-        // Load presets dynamically
-        this.loadAvailablePresets(dropdown, defaultPresets);
+        // Description, tags, author and thumbnail of the selected preset
+        const presetInfo = document.createElement('div');
+        presetInfo.style.cssText = 'display: none; margin-top: 8px; font-size: 11px; color: #ccc; max-width: 220px;';
+        // Presets are listed from the manifest in the preset folder, followed by those saved in this browser
+        this.presetDropdown = dropdown;
+        this.presetInfo = presetInfo;
+        this.loadAvailablePresets(dropdown);
         dropdown.addEventListener('change', () => {
+            this.showPresetInfo(presetInfo, this.findPresetEntry(dropdown.value));
             if (dropdown.value === 'REFRESH') {
-                // Clear dropdown and reload presets
-                dropdown.innerHTML = '';
-                const defaultPresets = [
-                    { name: 'Default', file: 'Default.json' },
-                    { name: 'Calm Ocean', file: 'Calm Ocean.json' },
-                    { name: 'Electric Storm', file: 'Electric Storm.json' },
-                    { name: 'Dark Magic', file: 'Dark Magic.json' },
-                    { name: 'Bright Night', file: 'Bright Night.json' },
-                    { name: 'Green', file: 'Green.json' }
-                ];
-                this.loadAvailablePresets(dropdown, defaultPresets);
+                // Re-read the manifest, e.g. after regenerating it for a newly saved preset
+                this.loadAvailablePresets(dropdown);
                 dropdown.value = ''; // Reset selection
             }
             else if (dropdown.value) {
+                if (this.controlLearning) {
+                    this.setLearnTarget(`preset:${dropdown.value.replace(/\.json$/, '')}`, null);
+                }
+                if (dropdown.value.startsWith(libraryPrefix)) {
+                    this.fetchLibraryPreset(dropdown.value.slice(libraryPrefix.length))
+                        .then(preset => {
+                        this.startTransition(preset);
+                    })
+                        .catch(error => {
+                        console.error('Error loading saved preset:', error);
+                        alert(`Could not load the saved preset: ${error.message}`);
+                    });
+                    return;
+                }
                 // Load preset with transition
-                fetch(`./presets/${dropdown.value}`)
-                    .then(response => response.json())
-                    .then((preset) => {
+                this.fetchPreset(`${this.presetPath}${dropdown.value}`)
+                    .then(preset => {
                     this.startTransition(preset);
                 })
                     .catch(error => {
                     console.error('Error loading preset for transition:', error);
                     // Fallback to instant loading
-                    this.loadPresetFromPath(`./presets/${dropdown.value}`);
+                    this.loadPresetFromPath(`${this.presetPath}${dropdown.value}`);
                 });
             }
         });
         dropdownContainer.appendChild(dropdown);
+        dropdownContainer.appendChild(presetInfo);
         presetPanel.appendChild(dropdownContainer);
         // Transition controls
         const transitionSection = document.createElement('div');
@@ -1160,7 +2108,7 @@ class NeuralNetworkAnimation {
         durationContainer.style.cssText = 'margin-bottom: 5px;';
         const durationLabel = document.createElement('div');
         durationLabel.style.cssText = 'display: flex; justify-content: space-between; font-size: 11px; color: #ccc;';
-        durationLabel.innerHTML = `<span>Duration</span><span id="duration-value">${this.transitionDuration.toFixed(1)}s</span>`;
+        durationLabel.innerHTML = `<span>Duration</span><span>${this.transitionDuration.toFixed(1)}s</span>`;
         const durationSlider = document.createElement('input');
         durationSlider.type = 'range';
         durationSlider.min = '0.5';
@@ -1170,7 +2118,7 @@ class NeuralNetworkAnimation {
         durationSlider.style.cssText = 'width: 100%; height: 3px; background: #333; outline: none; border-radius: 2px;';
         durationSlider.addEventListener('input', () => {
             this.transitionDuration = parseFloat(durationSlider.value);
-            document.getElementById('duration-value').textContent = `${this.transitionDuration.toFixed(1)}s`;
+            durationLabel.lastElementChild.textContent = `${this.transitionDuration.toFixed(1)}s`;
         });
         durationContainer.appendChild(durationLabel);
         durationContainer.appendChild(durationSlider);
@@ -1191,14 +2139,6 @@ class NeuralNetworkAnimation {
       border-radius: 3px;
       font-size: 11px;
     `;
-        const easingOptions = [
-            { value: 'linear', text: 'Linear' },
-            { value: 'ease-in', text: 'Ease In' },
-            { value: 'ease-out', text: 'Ease Out' },
-            { value: 'ease-in-out', text: 'Ease In-Out' },
-            { value: 'bounce', text: 'Bounce' },
-            { value: 'elastic', text: 'Elastic' }
-        ];
         easingOptions.forEach(option => {
             const opt = document.createElement('option');
             opt.value = option.value;
@@ -1284,16 +2224,706 @@ class NeuralNetworkAnimation {
         });
         loadContainer.appendChild(loadInput);
         loadContainer.appendChild(loadButton);
+        // Copy a link that opens this page with the current settings
+        if (this.useUrlHash) {
+            const linkButton = document.createElement('button');
+            linkButton.textContent = 'Copy Link';
+            linkButton.style.cssText = `
+        width: 100%;
+        padding: 8px;
+        margin-top: 5px;
+        background: #666;
+        color: white;
+        border: none;
+        border-radius: 3px;
+        cursor: pointer;
+        font-size: 12px;
+      `;
+            linkButton.addEventListener('click', () => this.copyPresetLink(linkButton));
+            loadContainer.appendChild(linkButton);
+        }
         presetPanel.appendChild(loadContainer);
-        document.body.appendChild(presetPanel);
+        // Library section: manage the saved preset selected in the dropdown, or move the whole library between browsers
+        const librarySection = document.createElement('div');
+        librarySection.style.cssText = 'margin-top: 15px; padding-top: 10px; border-top: 1px solid rgba(255, 255, 255, 0.1);';
+        const libraryTitle = document.createElement('div');
+        libraryTitle.textContent = 'Library';
+        libraryTitle.style.cssText = 'color: #4fc3f7; font-size: 12px; margin-bottom: 8px; font-weight: bold;';
+        librarySection.appendChild(libraryTitle);
+        const libraryButtonStyle = 'flex: 1; background: #666; color: white; border: none; border-radius: 3px; cursor: pointer; font-size: 11px; padding: 5px 4px;';
+        const createLibraryRow = (buttons) => {
+            const row = document.createElement('div');
+            row.style.cssText = 'display: flex; gap: 5px; margin-bottom: 5px;';
+            for (const [label, onClick] of buttons) {
+                const button = document.createElement('button');
+                button.textContent = label;
+                button.style.cssText = libraryButtonStyle;
+                button.addEventListener('click', onClick);
+                row.appendChild(button);
+            }
+            librarySection.appendChild(row);
+        };
+        const libraryInput = document.createElement('input');
+        libraryInput.type = 'file';
+        libraryInput.accept = '.json';
+        libraryInput.style.cssText = 'display: none;';
+        libraryInput.addEventListener('change', () => {
+            const file = libraryInput.files?.[0];
+            if (file) {
+                this.importPresetLibrary(file);
+            }
+            libraryInput.value = ''; // Allow importing the same file again
+        });
+        librarySection.appendChild(libraryInput);
+        createLibraryRow([
+            ['Rename', () => this.renameLibraryPreset()],
+            ['Duplicate', () => this.duplicateLibraryPreset()],
+            ['Delete', () => this.deleteLibraryPreset()]
+        ]);
+        createLibraryRow([
+            ['Download', () => this.downloadLibraryPreset()],
+            ['Export All', () => this.exportPresetLibrary()],
+            ['Import', () => libraryInput.click()]
+        ]);
+        presetPanel.appendChild(librarySection);
+        // Playlist section: presets added from the dropdown, each with its own hold time and transition
+        const playlistSection = document.createElement('div');
+        playlistSection.style.cssText = 'margin-top: 15px; padding-top: 10px; border-top: 1px solid rgba(255, 255, 255, 0.1);';
+        const playlistTitle = document.createElement('div');
+        playlistTitle.textContent = 'Playlist';
+        playlistTitle.style.cssText = 'color: #4fc3f7; font-size: 12px; margin-bottom: 8px; font-weight: bold;';
+        playlistSection.appendChild(playlistTitle);
+        this.playlistEditor = document.createElement('div');
+        this.playlistEditor.style.cssText = 'max-height: 200px; overflow-y: auto; margin-bottom: 5px;';
+        playlistSection.appendChild(this.playlistEditor);
+        const addEntryButton = document.createElement('button');
+        addEntryButton.textContent = 'Add Selected Preset';
+        addEntryButton.style.cssText = `${libraryButtonStyle} width: 100%; margin-bottom: 5px;`;
+        addEntryButton.addEventListener('click', () => {
+            const value = dropdown.value;
+            if (!value || value === 'REFRESH') {
+                alert('Select a preset in the dropdown first');
+                return;
+            }
+            this.playlist.entries.push({
+                preset: value.replace(/\.json$/, ''),
+                hold: playlistDefaults.hold,
+                duration: this.transitionDuration,
+                easing: this.transitionEasing
+            });
+            this.renderPlaylistEditor();
+        });
+        playlistSection.appendChild(addEntryButton);
+        const playlistOptions = document.createElement('div');
+        playlistOptions.style.cssText = 'display: flex; gap: 10px; font-size: 11px; color: #ccc; margin-bottom: 5px;';
+        const createPlaylistOption = (text, checked, onChange) => {
+            const label = document.createElement('label');
+            label.style.cssText = 'display: flex; align-items: center; gap: 3px; cursor: pointer;';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = checked;
+            checkbox.addEventListener('change', () => onChange(checkbox.checked));
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(text));
+            playlistOptions.appendChild(label);
+            return checkbox;
+        };
+        this.playlistOptionInputs = {
+            shuffle: createPlaylistOption('Shuffle', this.playlist.shuffle, checked => this.playlist.shuffle = checked),
+            loop: createPlaylistOption('Loop', this.playlist.loop, checked => this.playlist.loop = checked)
+        };
+        playlistSection.appendChild(playlistOptions);
+        const playlistInput = document.createElement('input');
+        playlistInput.type = 'file';
+        playlistInput.accept = '.json';
+        playlistInput.style.cssText = 'display: none;';
+        playlistInput.addEventListener('change', async () => {
+            const file = playlistInput.files?.[0];
+            playlistInput.value = '';
+            if (!file)
+                return;
+            try {
+                this.setPlaylist(parsePlaylist(JSON.parse(await file.text())));
+                console.log(`Playlist loaded from ${file.name}`);
+            }
+            catch (error) {
+                console.error('Error loading playlist:', error);
+                alert(`Could not load the playlist: ${error.message}`);
+            }
+        });
+        playlistSection.appendChild(playlistInput);
+        const playlistButtons = document.createElement('div');
+        playlistButtons.style.cssText = 'display: flex; gap: 5px;';
+        this.playlistPlayButton = document.createElement('button');
+        this.playlistPlayButton.style.cssText = libraryButtonStyle;
+        this.playlistPlayButton.addEventListener('click', () => {
+            if (this.playlistPlayer) {
+                this.stopPlaylist();
+            }
+            else {
+                this.playPlaylist().catch(error => alert(`Could not play the playlist: ${error.message}`));
+            }
+        });
+        const playlistLoadButton = document.createElement('button');
+        playlistLoadButton.textContent = 'Load';
+        playlistLoadButton.style.cssText = libraryButtonStyle;
+        playlistLoadButton.addEventListener('click', () => playlistInput.click());
+        const playlistSaveButton = document.createElement('button');
+        playlistSaveButton.textContent = 'Save';
+        playlistSaveButton.style.cssText = libraryButtonStyle;
+        playlistSaveButton.addEventListener('click', () => {
+            this.downloadBlob(new Blob([JSON.stringify(this.playlist, null, 2)], { type: 'application/json' }), 'playlist.json');
+        });
+        playlistButtons.appendChild(this.playlistPlayButton);
+        playlistButtons.appendChild(playlistLoadButton);
+        playlistButtons.appendChild(playlistSaveButton);
+        playlistSection.appendChild(playlistButtons);
+        presetPanel.appendChild(playlistSection);
+        this.renderPlaylistEditor();
+        // Topology section
+        const topologySection = document.createElement('div');
+        topologySection.style.cssText = 'margin-top: 15px; padding-top: 10px; border-top: 1px solid rgba(255, 255, 255, 0.1);';
+        const topologyTitle = document.createElement('div');
+        topologyTitle.textContent = 'Topology';
+        topologyTitle.style.cssText = 'color: #4fc3f7; font-size: 12px; margin-bottom: 8px; font-weight: bold;';
+        topologySection.appendChild(topologyTitle);
+        const topologyInput = document.createElement('input');
+        topologyInput.type = 'file';
+        topologyInput.accept = '.json';
+        topologyInput.style.cssText = 'display: none;';
+        const topologyButton = document.createElement('button');
+        topologyButton.textContent = 'Load Topology';
+        topologyButton.style.cssText = `
+      width: 100%;
+      padding: 8px;
+      background: #666;
+      color: white;
+      border: none;
+      border-radius: 3px;
+      cursor: pointer;
+      font-size: 12px;
+      margin-bottom: 5px;
+    `;
+        topologyButton.addEventListener('click', () => {
+            topologyInput.click();
+        });
+        topologyInput.addEventListener('change', (e) => {
+            const file = e.target.files?.[0];
+            if (file) {
+                this.loadTopologyFromFile(file);
+            }
+            topologyInput.value = '';
+        });
+        const meshButton = document.createElement('button');
+        meshButton.textContent = 'Use Full Mesh';
+        meshButton.style.cssText = `
+      width: 100%;
+      padding: 8px;
+      background: #666;
+      color: white;
+      border: none;
+      border-radius: 3px;
+      cursor: pointer;
+      font-size: 12px;
+    `;
+        meshButton.addEventListener('click', () => {
+            this.clearTopology();
+        });
+        topologySection.appendChild(topologyInput);
+        topologySection.appendChild(topologyButton);
+        topologySection.appendChild(meshButton);
+        presetPanel.appendChild(topologySection);
+        // Camera section
+        const cameraSection = document.createElement('div');
+        cameraSection.style.cssText = 'margin-top: 15px; padding-top: 10px; border-top: 1px solid rgba(255, 255, 255, 0.1);';
+        const cameraTitle = document.createElement('div');
+        cameraTitle.textContent = 'Camera';
+        cameraTitle.style.cssText = 'color: #4fc3f7; font-size: 12px; margin-bottom: 8px; font-weight: bold;';
+        cameraSection.appendChild(cameraTitle);
+        const smallSelectStyle = `
+      width: 100%;
+      padding: 4px;
+      background: #333;
+      color: white;
+      border: 1px solid #555;
+      border-radius: 3px;
+      font-size: 11px;
+      margin-bottom: 5px;
+    `;
+        const smallButtonStyle = `
+      flex: 1;
+      padding: 6px;
+      background: #666;
+      color: white;
+      border: none;
+      border-radius: 3px;
+      cursor: pointer;
+      font-size: 11px;
+    `;
+        const cameraModeSelect = document.createElement('select');
+        cameraModeSelect.style.cssText = smallSelectStyle;
+        [
+            { value: 'orbit', text: 'Orbit (drag, right-drag to pan, scroll to zoom)' },
+            { value: 'fly', text: 'Fly (WASD, R/F, Q/E, drag to look)' }
+        ].forEach(option => {
+            const opt = document.createElement('option');
+            opt.value = option.value;
+            opt.textContent = option.text;
+            if (option.value === this.cameraMode)
+                opt.selected = true;
+            cameraModeSelect.appendChild(opt);
+        });
+        cameraModeSelect.addEventListener('change', () => {
+            this.setCameraMode(cameraModeSelect.value);
+        });
+        this.bookmarkSelect = document.createElement('select');
+        this.bookmarkSelect.style.cssText = smallSelectStyle;
+        this.refreshBookmarkSelect();
+        const bookmarkButtons = document.createElement('div');
+        bookmarkButtons.style.cssText = 'display: flex; gap: 5px; margin-bottom: 5px;';
+        const goToButton = document.createElement('button');
+        goToButton.textContent = 'Go To';
+        goToButton.style.cssText = smallButtonStyle;
+        goToButton.addEventListener('click', () => {
+            if (this.bookmarkSelect.value) {
+                this.goToCameraBookmark(this.bookmarkSelect.value);
+            }
+        });
+        const deleteBookmarkButton = document.createElement('button');
+        deleteBookmarkButton.textContent = 'Delete';
+        deleteBookmarkButton.style.cssText = smallButtonStyle;
+        deleteBookmarkButton.addEventListener('click', () => {
+            if (this.bookmarkSelect.value) {
+                this.deleteCameraBookmark(this.bookmarkSelect.value);
+            }
+        });
+        const resetViewButton = document.createElement('button');
+        resetViewButton.textContent = 'Reset View';
+        resetViewButton.style.cssText = smallButtonStyle;
+        resetViewButton.addEventListener('click', () => {
+            this.resetCameraView();
+        });
+        bookmarkButtons.appendChild(goToButton);
+        bookmarkButtons.appendChild(deleteBookmarkButton);
+        bookmarkButtons.appendChild(resetViewButton);
+        const bookmarkInput = document.createElement('input');
+        bookmarkInput.type = 'text';
+        bookmarkInput.placeholder = 'Bookmark name...';
+        bookmarkInput.style.cssText = `
+      width: 100%;
+      padding: 5px;
+      background: #333;
+      color: white;
+      border: 1px solid #555;
+      border-radius: 3px;
+      font-size: 12px;
+      margin-bottom: 5px;
+    `;
+        const saveViewButton = document.createElement('button');
+        saveViewButton.textContent = 'Save View';
+        saveViewButton.style.cssText = `
+      width: 100%;
+      padding: 8px;
+      background: #666;
+      color: white;
+      border: none;
+      border-radius: 3px;
+      cursor: pointer;
+      font-size: 12px;
+    `;
+        saveViewButton.addEventListener('click', () => {
+            const name = bookmarkInput.value.trim();
+            if (name) {
+                this.saveCameraBookmark(name);
+                bookmarkInput.value = '';
+            }
+            else {
+                alert('Please enter a bookmark name');
+            }
+        });
+        // Cinematic camera
+        const cinematicLabel = document.createElement('div');
+        cinematicLabel.textContent = 'Cinematic';
+        cinematicLabel.style.cssText = 'font-size: 11px; color: #ccc; margin: 8px 0 3px 0;';
+        this.cinematicSelect = document.createElement('select');
+        this.cinematicSelect.style.cssText = smallSelectStyle;
+        [
+            { value: 'off', text: 'Off' },
+            { value: 'path', text: 'Follow Path' },
+            { value: 'follow', text: 'Follow Most Active Node' },
+            { value: 'orbit', text: 'Auto Orbit' }
+        ].forEach(option => {
+            const opt = document.createElement('option');
+            opt.value = option.value;
+            opt.textContent = option.text;
+            if (option.value === this.cinematicMode)
+                opt.selected = true;
+            this.cinematicSelect.appendChild(opt);
+        });
+        this.cinematicSelect.addEventListener('change', () => {
+            this.setCinematicMode(this.cinematicSelect.value);
+        });
+        this.cameraPathInfo = document.createElement('div');
+        this.cameraPathInfo.style.cssText = 'font-size: 11px; color: #888; margin-bottom: 5px;';
+        const pathButtons = document.createElement('div');
+        pathButtons.style.cssText = 'display: flex; gap: 5px;';
+        const addKeyframeButton = document.createElement('button');
+        addKeyframeButton.textContent = 'Add Keyframe';
+        addKeyframeButton.style.cssText = smallButtonStyle;
+        addKeyframeButton.addEventListener('click', () => {
+            this.addCameraPathKeyframe();
+        });
+        const clearPathButton = document.createElement('button');
+        clearPathButton.textContent = 'Clear Path';
+        clearPathButton.style.cssText = smallButtonStyle;
+        clearPathButton.addEventListener('click', () => {
+            this.setCameraPath(null);
+        });
+        pathButtons.appendChild(addKeyframeButton);
+        pathButtons.appendChild(clearPathButton);
+        cameraSection.appendChild(cameraModeSelect);
+        cameraSection.appendChild(this.bookmarkSelect);
+        cameraSection.appendChild(bookmarkButtons);
+        cameraSection.appendChild(bookmarkInput);
+        cameraSection.appendChild(saveViewButton);
+        cameraSection.appendChild(cinematicLabel);
+        cameraSection.appendChild(this.cinematicSelect);
+        cameraSection.appendChild(this.cameraPathInfo);
+        cameraSection.appendChild(pathButtons);
+        presetPanel.appendChild(cameraSection);
+        this.setCameraPath(this.cameraPath);
+        // Video export section
+        const exportSection = document.createElement('div');
+        exportSection.style.cssText = 'margin-top: 15px; padding-top: 10px; border-top: 1px solid rgba(255, 255, 255, 0.1);';
+        const exportTitle = document.createElement('div');
+        exportTitle.textContent = 'Video Export';
+        exportTitle.style.cssText = 'color: #4fc3f7; font-size: 12px; margin-bottom: 8px; font-weight: bold;';
+        exportSection.appendChild(exportTitle);
+        const createExportSelect = (options, value) => {
+            const select = document.createElement('select');
+            select.style.cssText = smallSelectStyle;
+            options.forEach(option => {
+                const opt = document.createElement('option');
+                opt.value = option.value;
+                opt.textContent = option.text;
+                if (option.value === value)
+                    opt.selected = true;
+                select.appendChild(opt);
+            });
+            exportSection.appendChild(select);
+            return select;
+        };
+        const resolutionSelect = createExportSelect([
+            { value: '1280x720', text: '1280 × 720 (720p)' },
+            { value: '1920x1080', text: '1920 × 1080 (1080p)' },
+            { value: '2560x1440', text: '2560 × 1440 (1440p)' },
+            { value: '3840x2160', text: '3840 × 2160 (4K)' },
+            { value: '1080x1920', text: '1080 × 1920 (Vertical)' }
+        ], '1920x1080');
+        const fpsSelect = createExportSelect([
+            { value: '24', text: '24 fps' },
+            { value: '30', text: '30 fps' },
+            { value: '60', text: '60 fps' }
+        ], '30');
+        const formatSelect = createExportSelect([
+            { value: 'webm', text: 'WebM video' },
+            { value: 'png', text: 'PNG sequence (zip)' }
+        ], 'webm');
+        const durationRow = document.createElement('div');
+        durationRow.style.cssText = 'display: flex; justify-content: space-between; align-items: center; font-size: 11px; color: #ccc; margin-bottom: 5px;';
+        durationRow.textContent = 'Seconds';
+        const exportDurationInput = document.createElement('input');
+        exportDurationInput.type = 'number';
+        exportDurationInput.min = '1';
+        exportDurationInput.max = '600';
+        exportDurationInput.value = '10';
+        exportDurationInput.style.cssText = 'width: 60px; background: #333; color: white; border: 1px solid #555; border-radius: 3px; font-size: 11px; padding: 2px;';
+        durationRow.appendChild(exportDurationInput);
+        exportSection.appendChild(durationRow);
+        const exportProgress = document.createElement('div');
+        exportProgress.style.cssText = 'font-size: 11px; color: #888; margin-bottom: 5px;';
+        const exportButton = document.createElement('button');
+        exportButton.textContent = 'Export';
+        exportButton.style.cssText = `
+      width: 100%;
+      padding: 8px;
+      background: #4fc3f7;
+      color: white;
+      border: none;
+      border-radius: 3px;
+      cursor: pointer;
+      font-size: 12px;
+    `;
+        exportButton.addEventListener('click', async () => {
+            if (this.isExporting) {
+                this.exportCancelled = true;
+                return;
+            }
+            const [width, height] = resolutionSelect.value.split('x').map(Number);
+            const duration = Math.min(Math.max(parseFloat(exportDurationInput.value) || 10, 1), 600);
+            exportButton.textContent = 'Cancel';
+            try {
+                await this.exportVideo({ width, height, fps: parseInt(fpsSelect.value, 10), duration, format: formatSelect.value }, (frame, total) => exportProgress.textContent = `Rendering frame ${frame} / ${total}`);
+                exportProgress.textContent = this.exportCancelled ? 'Export cancelled' : 'Export finished';
+            }
+            catch (error) {
+                console.error('Error exporting video:', error);
+                exportProgress.textContent = '';
+                alert(`Export failed: ${error.message}`);
+            }
+            finally {
+                exportButton.textContent = 'Export';
+            }
+        });
+        exportSection.appendChild(exportProgress);
+        exportSection.appendChild(exportButton);
+        presetPanel.appendChild(exportSection);
+        // Capture section: stills and seamless loops, rendered straight from the scene so panels never appear
+        const captureSection = document.createElement('div');
+        captureSection.style.cssText = 'margin-top: 15px; padding-top: 10px; border-top: 1px solid rgba(255, 255, 255, 0.1);';
+        const captureTitle = document.createElement('div');
+        captureTitle.textContent = 'Capture';
+        captureTitle.style.cssText = 'color: #4fc3f7; font-size: 12px; margin-bottom: 8px; font-weight: bold;';
+        captureSection.appendChild(captureTitle);
+        const createCaptureSelect = (options, value) => {
+            const select = document.createElement('select');
+            select.style.cssText = smallSelectStyle;
+            options.forEach(option => {
+                const opt = document.createElement('option');
+                opt.value = option.value;
+                opt.textContent = option.text;
+                if (option.value === value)
+                    opt.selected = true;
+                select.appendChild(opt);
+            });
+            captureSection.appendChild(select);
+            return select;
+        };
+        const createCaptureNumber = (label, value, min, max, step) => {
+            const row = document.createElement('div');
+            row.style.cssText = 'display: flex; justify-content: space-between; align-items: center; font-size: 11px; color: #ccc; margin-bottom: 5px;';
+            row.textContent = label;
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = min.toString();
+            input.max = max.toString();
+            input.step = step.toString();
+            input.value = value.toString();
+            input.style.cssText = 'width: 60px; background: #333; color: white; border: 1px solid #555; border-radius: 3px; font-size: 11px; padding: 2px;';
+            row.appendChild(input);
+            captureSection.appendChild(row);
+            return input;
+        };
+        const captureProgress = document.createElement('div');
+        captureProgress.style.cssText = 'font-size: 11px; color: #888; margin-bottom: 5px;';
+        const runCapture = async (button, label, capture) => {
+            if (this.isExporting) {
+                this.exportCancelled = true;
+                return;
+            }
+            button.textContent = 'Cancel';
+            try {
+                await capture();
+                captureProgress.textContent = this.exportCancelled ? 'Capture cancelled' : 'Capture finished';
+            }
+            catch (error) {
+                console.error('Error capturing:', error);
+                captureProgress.textContent = '';
+                alert(`Capture failed: ${error.message}`);
+            }
+            finally {
+                button.textContent = label;
+            }
+        };
+        const stillResolutionSelect = createCaptureSelect([
+            { value: 'screen2', text: 'Screen × 2' },
+            { value: 'screen4', text: 'Screen × 4' },
+            { value: '3840x2160', text: '3840 × 2160 (4K)' },
+            { value: '7680x4320', text: '7680 × 4320 (8K)' },
+            { value: '15360x8640', text: '15360 × 8640 (16K)' },
+            { value: 'custom', text: 'Custom size' }
+        ], '7680x4320');
+        // Custom size, shown while "Custom size" is selected
+        const customSizeRow = document.createElement('div');
+        customSizeRow.style.cssText = 'display: none; justify-content: space-between; align-items: center; gap: 4px; font-size: 11px; color: #ccc; margin-bottom: 5px;';
+        const createSizeInput = (value) => {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = '16';
+            input.step = '1';
+            input.value = value.toString();
+            input.style.cssText = 'width: 60px; background: #333; color: white; border: 1px solid #555; border-radius: 3px; font-size: 11px; padding: 2px;';
+            return input;
+        };
+        const customWidthInput = createSizeInput(this.getViewSize().width * 2);
+        const customHeightInput = createSizeInput(this.getViewSize().height * 2);
+        customSizeRow.appendChild(document.createTextNode('Size'));
+        customSizeRow.appendChild(customWidthInput);
+        customSizeRow.appendChild(document.createTextNode('×'));
+        customSizeRow.appendChild(customHeightInput);
+        captureSection.appendChild(customSizeRow);
+        stillResolutionSelect.addEventListener('change', () => {
+            customSizeRow.style.display = stillResolutionSelect.value === 'custom' ? 'flex' : 'none';
+        });
+        const stillButton = document.createElement('button');
+        stillButton.textContent = 'Capture Still';
+        stillButton.style.cssText = `
+      width: 100%;
+      padding: 8px;
+      background: #666;
+      color: white;
+      border: none;
+      border-radius: 3px;
+      cursor: pointer;
+      font-size: 12px;
+      margin-bottom: 10px;
+    `;
+        stillButton.addEventListener('click', () => runCapture(stillButton, 'Capture Still', () => {
+            const value = stillResolutionSelect.value;
+            const multiplier = value === 'screen2' ? 2 : value === 'screen4' ? 4 : 0;
+            let [width, height] = multiplier > 0
+                ? [this.getViewSize().width * multiplier, this.getViewSize().height * multiplier]
+                : value.split('x').map(Number);
+            if (value === 'custom') {
+                // Tiles get around the GPU's limits, but the whole image still has to fit in one 2D canvas
+                const clampSize = (input) => {
+                    const size = Math.min(Math.max(Math.round(parseFloat(input.value) || 16), 16), maxStillSize);
+                    input.value = size.toString();
+                    return size;
+                };
+                width = clampSize(customWidthInput);
+                height = clampSize(customHeightInput);
+            }
+            return this.captureStill(width, height, (tile, total) => captureProgress.textContent = `Rendering tile ${tile} / ${total}`);
+        }));
+        captureSection.appendChild(stillButton);
+        const loopSizeSelect = createCaptureSelect([
+            { value: '480x270', text: '480 × 270' },
+            { value: '640x360', text: '640 × 360' },
+            { value: '800x800', text: '800 × 800 (Square)' },
+            { value: '1280x720', text: '1280 × 720' }
+        ], '640x360');
+        const loopFpsSelect = createCaptureSelect([
+            { value: '15', text: '15 fps' },
+            { value: '24', text: '24 fps' },
+            { value: '30', text: '30 fps' }
+        ], '24');
+        const loopSecondsInput = createCaptureNumber('Loop seconds', 4, 1, 20, 1);
+        const crossfadeInput = createCaptureNumber('Crossfade seconds', 1, 0, 5, 0.25);
+        const loopButton = document.createElement('button');
+        loopButton.textContent = 'Capture Loop (APNG)';
+        loopButton.style.cssText = `
+      width: 100%;
+      padding: 8px;
+      background: #666;
+      color: white;
+      border: none;
+      border-radius: 3px;
+      cursor: pointer;
+      font-size: 12px;
+    `;
+        loopButton.addEventListener('click', () => runCapture(loopButton, 'Capture Loop (APNG)', () => {
+            const [width, height] = loopSizeSelect.value.split('x').map(Number);
+            const seconds = Math.min(Math.max(parseFloat(loopSecondsInput.value) || 4, 1), 20);
+            const crossfade = Math.min(Math.max(parseFloat(crossfadeInput.value) || 0, 0), seconds / 2);
+            return this.captureLoop(width, height, parseInt(loopFpsSelect.value, 10), seconds, crossfade, (frame, total) => captureProgress.textContent = `Recording frame ${frame} / ${total}`);
+        }));
+        captureSection.appendChild(captureProgress);
+        captureSection.appendChild(loopButton);
+        presetPanel.appendChild(captureSection);
+        this.container.appendChild(presetPanel);
+        this.presetPanel = presetPanel;
     }
-    async loadPresetFromPath(path) {
+    async fetchPreset(path) {
+        const response = await fetch(path);
+        if (!response.ok) {
+            throw new Error(`Failed to load preset: ${response.statusText}`);
+        }
+        return this.checkPreset(await response.json(), path).preset;
+    }
+    // Migrate, validate and complete raw preset JSON, logging whatever had to be fixed
+    checkPreset(raw, source) {
+        const result = normalizePreset(raw);
+        if (result.issues.length > 0) {
+            console.warn(`Preset "${source}" had problems:\n${formatPresetIssues(result.issues)}`);
+        }
+        return result;
+    }
+    resolvePresetPath(name) {
+        // Bare names refer to files in the preset folder
+        if (name.includes('/'))
+            return name;
+        return `${this.presetPath}${name.endsWith('.json') ? name : `${name}.json`}`;
+    }
+    // A preset by any name loadPreset() takes: "library:<name>", a file in the preset folder or a path
+    fetchNamedPreset(name) {
+        return name.startsWith(libraryPrefix)
+            ? this.fetchLibraryPreset(name.slice(libraryPrefix.length))
+            : this.fetchPreset(this.resolvePresetPath(name));
+    }
+    async fetchLibraryPreset(name) {
+        const preset = await this.presetLibrary.get(name);
+        if (!preset) {
+            throw new Error(`No saved preset named "${name}"`);
+        }
+        // Saved under an older schema version, or imported from elsewhere
+        return this.checkPreset(preset, `${libraryPrefix}${name}`).preset;
+    }
+    // Apply the preset shared in the URL hash (#preset=...); false when there is none or it cannot be read
+    async loadSharedPreset(options = {}) {
+        const encoded = new URLSearchParams(window.location.hash.slice(1)).get('preset');
+        if (!encoded)
+            return false;
         try {
-            const response = await fetch(path);
-            if (!response.ok) {
-                throw new Error(`Failed to load preset: ${response.statusText}`);
+            const preset = this.checkPreset(await decodePresetHash(encoded), 'link').preset;
+            if (this.disposed)
+                return false;
+            if (options.transition) {
+                this.startTransition(preset);
+            }
+            else {
+                this.applyPreset(preset);
+                this.updateControlPanel();
             }
-            const preset = await response.json();
+            console.log(`Preset "${preset.name}" loaded from the link`);
+            return true;
+        }
+        catch (error) {
+            console.warn('Ignoring the preset in the link, it could not be read:', error);
+            return false;
+        }
+    }
+    async copyPresetLink(button) {
+        let link;
+        try {
+            const url = new URL(window.location.href);
+            url.hash = `preset=${await encodePresetHash(this.getCurrentPreset())}`;
+            link = url.href;
+        }
+        catch (error) {
+            console.error('Error creating preset link:', error);
+            alert(`Could not create a link: ${error.message}`);
+            return;
+        }
+        try {
+            await navigator.clipboard.writeText(link);
+        }
+        catch (error) {
+            // Clipboard access needs a secure context and focus; let the user copy it by hand
+            prompt('Copy this link', link);
+            return;
+        }
+        console.log(`Preset link copied (${link.length} characters)`);
+        button.textContent = 'Copied!';
+        setTimeout(() => {
+            button.textContent = 'Copy Link';
+        }, 2000);
+    }
+    async loadPresetFromPath(path) {
+        try {
+            const preset = await this.fetchPreset(path);
+            if (this.disposed)
+                return;
             this.applyPreset(preset);
             this.updateControlPanel();
             console.log(`Preset "${preset.name}" loaded successfully`);
@@ -1305,37 +2935,59 @@ class NeuralNetworkAnimation {
     }
     async loadDefaultPreset() {
         try {
-            await this.loadPresetFromPath('./presets/Default.json');
+            await this.loadPresetFromPath(`${this.presetPath}Default.json`);
         }
         catch (error) {
             console.log('Default preset not found, using built-in defaults');
             // If Default.json doesn't exist, the current hardcoded values will be used
         }
     }
-    async loadAvailablePresets(dropdown, knownPresets) {
-        // First, add all known presets
-        console.log('Loading known presets:', knownPresets);
-        for (const preset of knownPresets) {
-            try {
-                console.log(`Checking preset: ${preset.name} (${preset.file})`);
-                const response = await fetch(`./presets/${preset.file}`, { method: 'HEAD' });
-                console.log(`Response for ${preset.file}:`, response.status, response.ok);
-                if (response.ok) {
-                    const option = document.createElement('option');
-                    option.value = preset.file;
-                    option.textContent = preset.name;
-                    dropdown.appendChild(option);
-                    console.log(`Added preset to dropdown: ${preset.name}`);
-                }
-                else {
-                    console.log(`Preset ${preset.file} returned status ${response.status}`);
-                }
-            }
-            catch (error) {
-                console.log(`Preset ${preset.file} not found, skipping:`, error);
+    async loadAvailablePresets(dropdown) {
+        try {
+            // Always revalidate so Refresh sees a regenerated manifest
+            const response = await fetch(`${this.presetPath}index.json`, { cache: 'no-cache' });
+            if (!response.ok) {
+                throw new Error(`Failed to load preset manifest: ${response.statusText}`);
             }
+            this.presetManifest = parsePresetManifest(await response.json());
+            console.log(`Found ${this.presetManifest.length} presets in the manifest`);
+        }
+        catch (error) {
+            console.warn('Preset manifest unavailable, listing Default only. Run "npm run presets" to create it.', error);
+            this.presetManifest = [{ name: 'Default', file: 'Default.json' }];
+        }
+        try {
+            this.libraryEntries = (await this.presetLibrary.list()).map(preset => ({
+                name: preset.name,
+                file: `${libraryPrefix}${preset.name}`,
+                description: preset.description,
+                tags: preset.tags,
+                author: preset.author,
+                thumbnail: preset.thumbnail
+            }));
+        }
+        catch (error) {
+            console.warn('Preset library unavailable:', error);
+            this.libraryEntries = [];
+        }
+        const createOption = (entry) => {
+            const option = document.createElement('option');
+            option.value = entry.file;
+            option.textContent = entry.name;
+            if (entry.description)
+                option.title = entry.description;
+            return option;
+        };
+        dropdown.innerHTML = '';
+        for (const entry of this.presetManifest) {
+            dropdown.appendChild(createOption(entry));
+        }
+        if (this.libraryEntries.length > 0) {
+            const group = document.createElement('optgroup');
+            group.label = 'Saved in Browser';
+            this.libraryEntries.forEach(entry => group.appendChild(createOption(entry)));
+            dropdown.appendChild(group);
         }
-        // Only load known presets - no additional preset discovery
         // Add a refresh option to manually check for new presets
         const refreshOption = document.createElement('option');
         refreshOption.value = 'REFRESH';
@@ -1343,6 +2995,287 @@ class NeuralNetworkAnimation {
         refreshOption.style.fontStyle = 'italic';
         dropdown.appendChild(refreshOption);
     }
+    findPresetEntry(file) {
+        return [...this.presetManifest, ...this.libraryEntries].find(entry => entry.file === file) ?? null;
+    }
+    // Rebuild the dropdown, e.g. after the library changed, and select the given entry without loading it
+    async refreshPresetList(selected) {
+        if (!this.presetDropdown)
+            return;
+        await this.loadAvailablePresets(this.presetDropdown);
+        this.presetDropdown.value = selected;
+        if (this.presetInfo) {
+            this.showPresetInfo(this.presetInfo, this.findPresetEntry(selected));
+        }
+    }
+    // Name of the library preset selected in the dropdown; alerts when a built-in preset or nothing is selected
+    getSelectedLibraryPreset() {
+        const value = this.presetDropdown?.value ?? '';
+        if (!value.startsWith(libraryPrefix)) {
+            alert('Select one of your saved presets in the dropdown first');
+            return null;
+        }
+        return value.slice(libraryPrefix.length);
+    }
+    async renameLibraryPreset() {
+        const name = this.getSelectedLibraryPreset();
+        if (name === null)
+            return;
+        const newName = prompt('Rename preset', name)?.trim();
+        if (!newName || newName === name)
+            return;
+        try {
+            await this.presetLibrary.rename(name, newName);
+            if (this.currentPresetName === name) {
+                this.currentPresetName = newName;
+            }
+            console.log(`Preset "${name}" renamed to "${newName}"`);
+            await this.refreshPresetList(`${libraryPrefix}${newName}`);
+        }
+        catch (error) {
+            console.error('Error renaming preset:', error);
+            alert(`Could not rename the preset: ${error.message}`);
+        }
+    }
+    async duplicateLibraryPreset() {
+        const name = this.getSelectedLibraryPreset();
+        if (name === null)
+            return;
+        try {
+            const copyName = await this.presetLibrary.duplicate(name);
+            console.log(`Preset "${name}" duplicated as "${copyName}"`);
+            await this.refreshPresetList(`${libraryPrefix}${copyName}`);
+        }
+        catch (error) {
+            console.error('Error duplicating preset:', error);
+            alert(`Could not duplicate the preset: ${error.message}`);
+        }
+    }
+    async deleteLibraryPreset() {
+        const name = this.getSelectedLibraryPreset();
+        if (name === null || !confirm(`Delete your saved preset "${name}"?`))
+            return;
+        try {
+            await this.presetLibrary.delete(name);
+            console.log(`Preset "${name}" deleted`);
+            await this.refreshPresetList('');
+        }
+        catch (error) {
+            console.error('Error deleting preset:', error);
+            alert(`Could not delete the preset: ${error.message}`);
+        }
+    }
+    // Save the selected library preset as a file that can be dropped into the preset folder
+    async downloadLibraryPreset() {
+        const name = this.getSelectedLibraryPreset();
+        if (name === null)
+            return;
+        try {
+            const preset = await this.fetchLibraryPreset(name);
+            this.downloadBlob(new Blob([JSON.stringify(preset, null, 2)], { type: 'application/json' }), `${name}.json`);
+        }
+        catch (error) {
+            console.error('Error downloading preset:', error);
+            alert(`Could not download the preset: ${error.message}`);
+        }
+    }
+    async exportPresetLibrary() {
+        try {
+            const json = await this.presetLibrary.exportLibrary();
+            this.downloadBlob(new Blob([json], { type: 'application/json' }), 'neural-animation-library.json');
+        }
+        catch (error) {
+            console.error('Error exporting preset library:', error);
+            alert(`Could not export the library: ${error.message}`);
+        }
+    }
+    async importPresetLibrary(file) {
+        try {
+            const { imported, problems } = await this.presetLibrary.importLibrary(await file.text());
+            console.log(`Imported ${imported.length} presets from ${file.name}`);
+            if (problems.length > 0) {
+                console.warn(`Library import from ${file.name} had problems:\n${problems.join('\n')}`);
+            }
+            await this.refreshPresetList(imported.length > 0 ? `${libraryPrefix}${imported[0]}` : '');
+            let message = `Imported ${imported.length} preset${imported.length === 1 ? '' : 's'}.`;
+            if (problems.length > 0) {
+                message += `\n\nSome presets needed corrections:\n${problems.join('\n')}`;
+            }
+            alert(message);
+        }
+        catch (error) {
+            console.error('Error importing preset library:', error);
+            alert(`Could not import the library: ${error.message}`);
+        }
+    }
+    setPlaylist(playlist) {
+        this.playlist = playlist;
+        if (this.playlistOptionInputs) {
+            this.playlistOptionInputs.shuffle.checked = playlist.shuffle;
+            this.playlistOptionInputs.loop.checked = playlist.loop;
+        }
+        this.renderPlaylistEditor();
+    }
+    // One row per entry: the preset with move up and remove buttons, then its hold time, transition duration and easing
+    renderPlaylistEditor() {
+        if (!this.playlistEditor)
+            return;
+        this.playlistEditor.innerHTML = '';
+        this.playlistRows = [];
+        if (this.playlist.entries.length === 0) {
+            const empty = document.createElement('div');
+            empty.textContent = 'Select a preset and add it to start a playlist';
+            empty.style.cssText = 'font-size: 11px; color: #888; font-style: italic;';
+            this.playlistEditor.appendChild(empty);
+        }
+        const inputStyle = 'width: 36px; padding: 1px 3px; background: #333; color: white; border: 1px solid #555; border-radius: 3px; font-size: 11px;';
+        const buttonStyle = 'background: none; color: #ccc; border: none; cursor: pointer; font-size: 11px; padding: 0 3px;';
+        this.playlist.entries.forEach((entry, index) => {
+            const row = document.createElement('div');
+            row.style.cssText = 'padding: 4px; margin-bottom: 3px; border-radius: 3px; font-size: 11px; color: #ccc;';
+            const header = document.createElement('div');
+            header.style.cssText = 'display: flex; align-items: center; margin-bottom: 3px;';
+            const name = document.createElement('div');
+            name.textContent = `${index + 1}. ${entry.preset}`;
+            name.title = entry.preset;
+            name.style.cssText = 'flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+            header.appendChild(name);
+            const moveUpButton = document.createElement('button');
+            moveUpButton.textContent = '↑';
+            moveUpButton.title = 'Move up';
+            moveUpButton.style.cssText = buttonStyle;
+            moveUpButton.disabled = index === 0;
+            moveUpButton.addEventListener('click', () => {
+                const entries = this.playlist.entries;
+                [entries[index - 1], entries[index]] = [entries[index], entries[index - 1]];
+                this.renderPlaylistEditor();
+            });
+            header.appendChild(moveUpButton);
+            const removeButton = document.createElement('button');
+            removeButton.textContent = '✕';
+            removeButton.title = 'Remove';
+            removeButton.style.cssText = buttonStyle;
+            removeButton.addEventListener('click', () => {
+                this.playlist.entries.splice(index, 1);
+                this.renderPlaylistEditor();
+            });
+            header.appendChild(removeButton);
+            row.appendChild(header);
+            const timing = document.createElement('div');
+            timing.style.cssText = 'display: flex; align-items: center; gap: 3px;';
+            const createNumberInput = (label, value, min, max, onChange) => {
+                timing.appendChild(document.createTextNode(label));
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.min = min.toString();
+                input.max = max.toString();
+                input.step = '0.5';
+                input.value = value.toString();
+                input.style.cssText = inputStyle;
+                input.addEventListener('change', () => {
+                    const parsed = Math.max(min, Math.min(max, parseFloat(input.value) || min));
+                    input.value = parsed.toString();
+                    onChange(parsed);
+                });
+                timing.appendChild(input);
+            };
+            createNumberInput('Hold', entry.hold, 0, 3600, value => entry.hold = value);
+            createNumberInput('Fade', entry.duration, 0.5, 10, value => entry.duration = value);
+            const easingSelect = document.createElement('select');
+            easingSelect.style.cssText = 'flex: 1; min-width: 0; background: #333; color: white; border: 1px solid #555; border-radius: 3px; font-size: 11px;';
+            easingOptions.forEach(option => {
+                const opt = document.createElement('option');
+                opt.value = option.value;
+                opt.textContent = option.text;
+                if (option.value === entry.easing)
+                    opt.selected = true;
+                easingSelect.appendChild(opt);
+            });
+            easingSelect.addEventListener('change', () => {
+                entry.easing = easingSelect.value;
+            });
+            timing.appendChild(easingSelect);
+            row.appendChild(timing);
+            this.playlistEditor.appendChild(row);
+            this.playlistRows.push(row);
+        });
+        this.updatePlaylistControls();
+    }
+    // Highlight the entry showing now and label the play button
+    updatePlaylistControls() {
+        // By identity, since the rows follow the edited playlist rather than the round being played
+        const current = this.playlistPlayer?.currentEntry ?? null;
+        this.playlistRows.forEach((row, index) => {
+            row.style.background = this.playlist.entries[index] === current ? 'rgba(79, 195, 247, 0.2)' : 'none';
+        });
+        if (this.playlistPlayButton) {
+            this.playlistPlayButton.textContent = this.playlistPlayer ? 'Stop' : 'Play';
+            this.playlistPlayButton.style.background = this.playlistPlayer ? '#ff9800' : '#666';
+        }
+    }
+    // Runs on simulation time, like the transitions it starts, so playlists also play out in offline exports
+    updatePlaylist(deltaTime) {
+        const player = this.playlistPlayer;
+        if (!player)
+            return;
+        const next = player.update(deltaTime);
+        if (next) {
+            const { index, entry } = next;
+            this.fetchNamedPreset(entry.preset)
+                .then(preset => {
+                // Stopped, restarted or disposed while the preset loaded (dispose() clears the player)
+                if (this.playlistPlayer !== player)
+                    return;
+                this.startTransition(preset, { duration: entry.duration, easing: entry.easing });
+            })
+                .catch(error => console.error(`Skipping playlist entry "${entry.preset}":`, error));
+            this.events.emit('playlistEntry', { index, entry });
+            this.updatePlaylistControls();
+        }
+        if (player.finished) {
+            this.playlistPlayer = null;
+            this.updatePlaylistControls();
+            console.log('Playlist finished');
+        }
+    }
+    showPresetInfo(container, entry) {
+        container.innerHTML = '';
+        if (!entry || !(entry.description || entry.tags?.length || entry.author || entry.thumbnail)) {
+            container.style.display = 'none';
+            return;
+        }
+        container.style.display = 'block';
+        if (entry.thumbnail) {
+            const thumbnail = document.createElement('img');
+            // Relative thumbnails live next to the presets
+            thumbnail.src = new URL(entry.thumbnail, new URL(this.presetPath, document.baseURI)).href;
+            thumbnail.alt = entry.name;
+            thumbnail.style.cssText = 'display: block; width: 100%; border-radius: 3px; margin-bottom: 5px;';
+            container.appendChild(thumbnail);
+        }
+        if (entry.description) {
+            const description = document.createElement('div');
+            description.textContent = entry.description;
+            description.style.cssText = 'margin-bottom: 3px;';
+            container.appendChild(description);
+        }
+        if (entry.tags?.length) {
+            const tags = document.createElement('div');
+            tags.textContent = entry.tags.map(tag => `#${tag}`).join(' ');
+            tags.style.cssText = 'color: #4fc3f7; margin-bottom: 3px;';
+            container.appendChild(tags);
+        }
+        if (entry.author) {
+            const author = document.createElement('div');
+            author.textContent = `by ${entry.author}`;
+            author.style.cssText = 'color: #888; font-style: italic;';
+            container.appendChild(author);
+        }
+    }
+    setPresetMetadata(preset) {
+        const { description, tags, author, thumbnail } = preset;
+        this.presetMetadata = { description, tags, author, thumbnail };
+    }
     getEasingFunction(type) {
         switch (type) {
             case 'linear':
@@ -1388,438 +3321,859 @@ class NeuralNetworkAnimation {
         const result = start.clone().lerp(end, t);
         return `#${result.getHexString()}`;
     }
-    startTransition(toPreset) {
-        if (this.isTransitioning)
-            return;
+    // Timing defaults to the preset panel's. A transition already running is cut short: the new one starts from the scene as it is now
+    startTransition(toPreset, timing = {}) {
+        if (this.isTransitioning && this.toPreset) {
+            console.log(`Interrupting transition to "${this.toPreset.name}"`);
+        }
         this.fromPreset = this.getCurrentPreset();
-        this.toPreset = toPreset;
+        this.toPreset = { ...toPreset, topology: toPreset.topology ? this.simulation.parseTopology(toPreset.topology) : null };
         this.isTransitioning = true;
-        this.transitionStartTime = performance.now();
-        console.log(`Starting transition from "${this.fromPreset.name}" to "${toPreset.name}" (${this.transitionDuration}s, ${this.transitionEasing})`);
+        this.transitionElapsed = 0;
+        this.activeTransitionDuration = timing.duration ?? this.transitionDuration;
+        this.activeTransitionEasing = timing.easing ?? this.transitionEasing;
+        console.log(`Starting transition from "${this.fromPreset.name}" to "${toPreset.name}" (${this.activeTransitionDuration}s, ${this.activeTransitionEasing})`);
+        this.events.emit('transitionStart', { from: this.fromPreset, to: this.toPreset });
     }
-    updateTransition() {
+    updateTransition(deltaTime) {
         if (!this.isTransitioning || !this.fromPreset || !this.toPreset)
             return;
-        const elapsed = (performance.now() - this.transitionStartTime) / 1000;
-        const progress = Math.min(elapsed / this.transitionDuration, 1);
-        const easingFunc = this.getEasingFunction(this.transitionEasing);
+        this.transitionElapsed += deltaTime;
+        const progress = Math.min(this.transitionElapsed / this.activeTransitionDuration, 1);
+        const easingFunc = this.getEasingFunction(this.activeTransitionEasing);
         const t = easingFunc(progress);
         // Interpolate all numeric values
-        this.nodeCount = Math.round(this.lerp(this.fromPreset.nodeCount, this.toPreset.nodeCount, t));
-        this.nodeSpeed = this.lerp(this.fromPreset.nodeSpeed, this.toPreset.nodeSpeed, t);
-        this.activitySpeed = this.lerp(this.fromPreset.activitySpeed, this.toPreset.activitySpeed, t);
+        this.simulation.nodeCount = Math.round(this.lerp(this.fromPreset.nodeCount, this.toPreset.nodeCount, t));
+        this.simulation.nodeSpeed = this.lerp(this.fromPreset.nodeSpeed, this.toPreset.nodeSpeed, t);
+        this.simulation.activitySpeed = this.lerp(this.fromPreset.activitySpeed, this.toPreset.activitySpeed, t);
         this.connectionOpacity = this.lerp(this.fromPreset.connectionOpacity, this.toPreset.connectionOpacity, t);
-        this.spaceSize = this.lerp(this.fromPreset.spaceSize, this.toPreset.spaceSize, t);
-        this.mouseInfluenceRadius = this.lerp(this.fromPreset.mouseInfluenceRadius, this.toPreset.mouseInfluenceRadius, t);
-        this.particleCount = Math.round(this.lerp(this.fromPreset.particleCount, this.toPreset.particleCount, t));
-        this.particleSpeed = this.lerp(this.fromPreset.particleSpeed, this.toPreset.particleSpeed, t);
+        this.simulation.spaceSize = this.lerp(this.fromPreset.spaceSize, this.toPreset.spaceSize, t);
+        this.simulation.mouseInfluenceRadius = this.lerp(this.fromPreset.mouseInfluenceRadius, this.toPreset.mouseInfluenceRadius, t);
+        this.simulation.particleCount = Math.round(this.lerp(this.fromPreset.particleCount, this.toPreset.particleCount, t));
+        this.simulation.particleSpeed = this.lerp(this.fromPreset.particleSpeed, this.toPreset.particleSpeed, t);
         this.particleSize = this.lerp(this.fromPreset.particleSize, this.toPreset.particleSize, t);
-        this.rippleIntensity = this.lerp(this.fromPreset.rippleIntensity, this.toPreset.rippleIntensity, t);
-        this.rippleDuration = this.lerp(this.fromPreset.rippleDuration, this.toPreset.rippleDuration, t);
-        this.rippleSize = this.lerp(this.fromPreset.rippleSize, this.toPreset.rippleSize, t);
-        this.wallRestitution = this.lerp(this.fromPreset.wallRestitution, this.toPreset.wallRestitution, t);
-        this.wallFriction = this.lerp(this.fromPreset.wallFriction, this.toPreset.wallFriction, t);
+        this.simulation.rippleIntensity = this.lerp(this.fromPreset.rippleIntensity, this.toPreset.rippleIntensity, t);
+        this.simulation.rippleDuration = this.lerp(this.fromPreset.rippleDuration, this.toPreset.rippleDuration, t);
+        this.simulation.rippleSize = this.lerp(this.fromPreset.rippleSize, this.toPreset.rippleSize, t);
+        this.simulation.wallRestitution = this.lerp(this.fromPreset.wallRestitution, this.toPreset.wallRestitution, t);
+        this.simulation.wallFriction = this.lerp(this.fromPreset.wallFriction, this.toPreset.wallFriction, t);
+        this.simulation.layoutStrength = this.lerp(this.fromPreset.layoutStrength ?? 1.0, this.toPreset.layoutStrength ?? 1.0, t);
+        this.simulation.spikeThreshold = this.lerp(this.fromPreset.spikeThreshold ?? 1.0, this.toPreset.spikeThreshold ?? 1.0, t);
+        this.simulation.spikeLeak = this.lerp(this.fromPreset.spikeLeak ?? 0.5, this.toPreset.spikeLeak ?? 0.5, t);
+        this.simulation.refractoryPeriod = this.lerp(this.fromPreset.refractoryPeriod ?? 0.3, this.toPreset.refractoryPeriod ?? 0.3, t);
+        this.simulation.interactionStrength = this.lerp(this.fromPreset.interactionStrength ?? 0.0, this.toPreset.interactionStrength ?? 0.0, t);
+        this.simulation.interactionRadius = this.lerp(this.fromPreset.interactionRadius ?? 4.0, this.toPreset.interactionRadius ?? 4.0, t);
+        this.simulation.gravity = this.lerp(this.fromPreset.gravity ?? 0.0, this.toPreset.gravity ?? 0.0, t);
+        this.simulation.airResistance = this.lerp(this.fromPreset.airResistance ?? 0.0, this.toPreset.airResistance ?? 0.0, t);
+        this.lodDistance = this.lerp(this.fromPreset.lodDistance ?? 60, this.toPreset.lodDistance ?? 60, t);
+        this.simulation.particleBudget = Math.round(this.lerp(this.fromPreset.particleBudget ?? 2000, this.toPreset.particleBudget ?? 2000, t));
+        this.cameraPathDuration = this.lerp(this.fromPreset.cameraPathDuration ?? 30, this.toPreset.cameraPathDuration ?? 30, t);
+        this.autoOrbitSpeed = this.lerp(this.fromPreset.autoOrbitSpeed ?? 6, this.toPreset.autoOrbitSpeed ?? 6, t);
+        this.simulation.audioGain = this.lerp(this.fromPreset.audioGain ?? 1.0, this.toPreset.audioGain ?? 1.0, t);
+        this.soundVolume = this.lerp(this.fromPreset.soundVolume ?? 0.5, this.toPreset.soundVolume ?? 0.5, t);
+        // Connection pruning settings rebuild the graph when they change
+        const connectionNeighbors = Math.round(this.lerp(this.fromPreset.connectionNeighbors ?? 4, this.toPreset.connectionNeighbors ?? 4, t));
+        const connectionDistance = this.lerp(this.fromPreset.connectionDistance ?? 6.0, this.toPreset.connectionDistance ?? 6.0, t);
+        const connectionMode = (t >= 0.5 ? this.toPreset.connectionMode : this.fromPreset.connectionMode) ?? 'all';
+        if (connectionMode !== this.simulation.connectionMode || connectionNeighbors !== this.simulation.connectionNeighbors || Math.abs(connectionDistance - this.simulation.connectionDistance) > 0.1 || (progress >= 1 && connectionDistance !== this.simulation.connectionDistance)) {
+            this.simulation.connectionMode = connectionMode;
+            this.simulation.connectionNeighbors = connectionNeighbors;
+            this.simulation.connectionDistance = connectionDistance;
+            this.simulation.updateConnections();
+        }
         // Interpolate colors
         this.backgroundColor = this.lerpColor(this.fromPreset.backgroundColor, this.toPreset.backgroundColor, t);
-        this.nodeColor = this.lerpColor(this.fromPreset.nodeColor, this.toPreset.nodeColor, t);
+        this.simulation.nodeColor = this.lerpColor(this.fromPreset.nodeColor, this.toPreset.nodeColor, t);
         this.connectionColor = this.lerpColor(this.fromPreset.connectionColor, this.toPreset.connectionColor, t);
         this.particleColor = this.lerpColor(this.fromPreset.particleColor, this.toPreset.particleColor, t);
         this.rippleColor = this.lerpColor(this.fromPreset.rippleColor, this.toPreset.rippleColor, t);
         // Handle boolean values (switch at 50% progress)
         if (t >= 0.5) {
             this.showAllConnections = this.toPreset.showAllConnections;
-            this.showParticles = this.toPreset.showParticles;
-            this.showRipples = this.toPreset.showRipples;
+            this.simulation.showParticles = this.toPreset.showParticles;
+            this.simulation.showRipples = this.toPreset.showRipples;
+            this.simulation.activationModel = this.toPreset.activationModel ?? 'wave';
+            this.simulation.nodeCollisions = this.toPreset.nodeCollisions ?? true;
+            this.simulation.collisionRipples = this.toPreset.collisionRipples ?? true;
+            this.simulation.gravityMode = this.toPreset.gravityMode ?? 'down';
+            this.simulation.audioActivity = this.toPreset.audioActivity ?? 'off';
+            this.simulation.audioParticles = this.toPreset.audioParticles ?? 'off';
+            this.simulation.audioRipples = this.toPreset.audioRipples ?? 'off';
+            this.soundMuted = this.toPreset.soundMuted ?? true;
+            this.soundScale = this.toPreset.soundScale ?? 'pentatonic';
+            this.soundKey = this.toPreset.soundKey ?? 'C';
+            this.simulation.seed = this.toPreset.seed ?? 1;
         }
         else {
             this.showAllConnections = this.fromPreset.showAllConnections;
-            this.showParticles = this.fromPreset.showParticles;
-            this.showRipples = this.fromPreset.showRipples;
+            this.simulation.showParticles = this.fromPreset.showParticles;
+            this.simulation.showRipples = this.fromPreset.showRipples;
+            this.simulation.activationModel = this.fromPreset.activationModel ?? 'wave';
+            this.simulation.nodeCollisions = this.fromPreset.nodeCollisions ?? true;
+            this.simulation.collisionRipples = this.fromPreset.collisionRipples ?? true;
+            this.simulation.gravityMode = this.fromPreset.gravityMode ?? 'down';
+            this.simulation.audioActivity = this.fromPreset.audioActivity ?? 'off';
+            this.simulation.audioParticles = this.fromPreset.audioParticles ?? 'off';
+            this.simulation.audioRipples = this.fromPreset.audioRipples ?? 'off';
+            this.soundMuted = this.fromPreset.soundMuted ?? true;
+            this.soundScale = this.fromPreset.soundScale ?? 'pentatonic';
+            this.soundKey = this.fromPreset.soundKey ?? 'C';
+            this.simulation.seed = this.fromPreset.seed ?? 1;
+        }
+        this.updateSound();
+        this.controlMappings = (t >= 0.5 ? this.toPreset.controlMappings : this.fromPreset.controlMappings) ?? this.controlMappings;
+        // Swap topology at the halfway point as well
+        const targetTopology = (t >= 0.5 ? this.toPreset.topology : this.fromPreset.topology) ?? null;
+        if (targetTopology !== this.simulation.topology) {
+            this.simulation.topology = targetTopology;
+            this.simulation.clearParticles();
+            this.simulation.reset();
+        }
+        const targetBookmarks = (t >= 0.5 ? this.toPreset.cameraBookmarks : this.fromPreset.cameraBookmarks) ?? [];
+        if (targetBookmarks !== this.cameraBookmarks) {
+            this.cameraBookmarks = targetBookmarks;
+            this.refreshBookmarkSelect();
+        }
+        const targetPath = (t >= 0.5 ? this.toPreset.cameraPath : this.fromPreset.cameraPath) ?? null;
+        if (targetPath !== this.cameraPath) {
+            this.setCameraPath(targetPath);
+        }
+        const targetCinematic = (t >= 0.5 ? this.toPreset.cinematicMode : this.fromPreset.cinematicMode) ?? 'off';
+        if (targetCinematic !== this.cinematicMode) {
+            this.setCinematicMode(targetCinematic);
+        }
+        const targetLayout = (t >= 0.5 ? this.toPreset.layoutMode : this.fromPreset.layoutMode) ?? 'scatter';
+        if (targetLayout !== this.simulation.layoutMode) {
+            this.simulation.setLayoutMode(targetLayout);
+        }
+        // Rebuild the walls once the space size has moved noticeably
+        if (Math.abs(this.simulation.spaceSize - this.boxSpaceSize) > 0.1 || (progress >= 1 && this.simulation.spaceSize !== this.boxSpaceSize)) {
+            this.recreateBoxEnvironment();
+            this.simulation.updateLayoutTargets();
         }
         // Update visual elements
         this.scene.background = new THREE.Color(this.backgroundColor);
-        this.updateNodeColors();
+        this.connectionSegments.visible = this.showAllConnections;
+        this.simulation.updateNodeColors();
         this.updateConnectionColors();
         this.updateParticleColors();
-        this.updateParticleSize();
         this.updateParticleVisibility();
         this.updateRippleColors();
         this.updateRippleVisibility();
         this.updateControlPanel();
         // Handle node count changes smoothly during transition
-        this.updateNodeCount();
+        this.simulation.updateNodeCount();
         // End transition
         if (progress >= 1) {
+            const preset = this.toPreset;
             this.isTransitioning = false;
-            this.currentPresetName = this.toPreset.name;
+            this.currentPresetName = preset.name;
+            this.setPresetMetadata(preset);
             this.fromPreset = null;
             this.toPreset = null;
             console.log('Transition completed');
+            this.events.emit('transitionEnd', { preset });
         }
     }
-    updateNodeCount() {
-        const targetCount = this.nodeCount;
-        const currentCount = this.nodes.length;
-        if (targetCount > currentCount) {
-            // Add nodes gradually
-            this.addNode();
+    setSeed(seed) {
+        this.simulation.setSeed(seed);
+        if (this.controlPanel?.controls.seed) {
+            this.controlPanel.controls.seed.value = this.simulation.seed.toString();
         }
-        else if (targetCount < currentCount) {
-            // Remove nodes gradually
-            this.removeNode();
+        console.log(`Seed set to ${this.simulation.seed}`);
+    }
+    setupEventListeners(resizeWithWindow) {
+        // Mouse movement
+        window.addEventListener('mousemove', this.onMouseMove);
+        // Window resize
+        if (resizeWithWindow) {
+            window.addEventListener('resize', this.onResize);
         }
-        // Update connections after node count changes
-        if (targetCount !== currentCount) {
-            this.updateConnections();
+        // Links pasted into the address bar of an open page only change the hash
+        if (this.useUrlHash) {
+            window.addEventListener('hashchange', this.onHashChange);
         }
     }
-    addNode() {
-        const geometry = new THREE.BoxGeometry(0.8, 0.8, 0.8);
-        // Calculate camera frustum dimensions
-        const depth = 20;
-        const fov = this.camera.fov * Math.PI / 180;
-        const aspect = this.camera.aspect;
-        const height = 2 * Math.tan(fov / 2) * depth;
-        const width = height * aspect;
-        // Find a good position that's not too close to existing nodes
-        let position;
-        let attempts = 0;
-        const maxAttempts = 50;
-        const minDistance = Math.min(width, height, depth * 0.8) / Math.sqrt(this.nodeCount) * 0.6;
-        do {
-            position = new THREE.Vector3((Math.random() - 0.5) * width, (Math.random() - 0.5) * height, (Math.random() - 0.5) * depth * 0.8);
-            attempts++;
-        } while (attempts < maxAttempts && this.isTooCloseToExistingNodes(position, minDistance));
-        // Create node material with current node color
-        const baseColor = new THREE.Color(this.nodeColor);
-        const material = new THREE.MeshLambertMaterial({ color: baseColor });
-        const mesh = new THREE.Mesh(geometry, material);
-        mesh.position.copy(position);
-        // Start small and scale up for smooth appearance
-        mesh.scale.setScalar(0.1);
-        const nodeData = {
-            mesh,
-            position: position.clone(),
-            velocity: new THREE.Vector3((Math.random() - 0.5) * 0.3, (Math.random() - 0.5) * 0.3, (Math.random() - 0.5) * 0.2),
-            targetPosition: position.clone(),
-            connections: [],
-            activity: Math.random(),
-            baseColor: baseColor.clone(),
-            mass: 1.0 + Math.random() * 0.5,
-            restitution: 0.6 + Math.random() * 0.3,
-            friction: 0.9 + Math.random() * 0.1,
-            angularVelocity: new THREE.Vector3((Math.random() - 0.5) * 0.02, (Math.random() - 0.5) * 0.02, (Math.random() - 0.5) * 0.02),
-            lastCollisionTime: 0
-        };
-        this.nodes.push(nodeData);
-        this.scene.add(mesh);
-        // Animate scale up
-        this.animateNodeScaleUp(mesh);
+    getViewSize() {
+        if (!this.embedded) {
+            return { width: window.innerWidth, height: window.innerHeight };
+        }
+        return { width: Math.max(1, this.container.clientWidth), height: Math.max(1, this.container.clientHeight) };
+    }
+    recreateBoxEnvironment() {
+        // Clear existing box environment and free its GPU resources
+        this.boxEnvironment.traverse(child => {
+            if (child instanceof THREE.Mesh || child instanceof THREE.Line) {
+                child.geometry.dispose();
+            }
+        });
+        this.boxEnvironment.clear();
+        // Recreate box environment with new dimensions
+        this.createBoxEnvironment();
+    }
+    setSpaceSize(size) {
+        this.simulation.spaceSize = size;
+        this.recreateBoxEnvironment();
+        this.simulation.updateLayoutTargets();
     }
-    removeNode() {
-        if (this.nodes.length === 0)
+    updateConnectionGeometry() {
+        this.ensureConnectionCapacity(this.simulation.connections.length);
+        const geometry = this.connectionSegments.geometry;
+        const positions = geometry.getAttribute('position');
+        const colors = geometry.getAttribute('color');
+        const color = this.connectionRenderColor;
+        this.simulation.connections.forEach((connection, i) => {
+            const { startNode, endNode } = connection;
+            // Follow the interpolated render positions rather than the raw simulation state
+            const start = startNode.renderPosition;
+            const end = endNode.renderPosition;
+            positions.setXYZ(i * 2, start.x, start.y, start.z);
+            positions.setXYZ(i * 2 + 1, end.x, end.y, end.z);
+            // Line opacity follows node activity and edge weight
+            const avgActivity = (startNode.activity + endNode.activity) * 0.5;
+            const opacity = this.connectionOpacity * (0.3 + avgActivity * 0.7) * Math.abs(connection.weight);
+            colors.setXYZW(i * 2, color.r, color.g, color.b, opacity);
+            colors.setXYZW(i * 2 + 1, color.r, color.g, color.b, opacity);
+        });
+        geometry.setDrawRange(0, this.simulation.connections.length * 2);
+        positions.needsUpdate = true;
+        colors.needsUpdate = true;
+    }
+    updateNodeInstances() {
+        const drawn = this.simulation.removingNodes.length > 0 ? this.simulation.nodes.concat(this.simulation.removingNodes) : this.simulation.nodes;
+        this.ensureNodeCapacity(drawn.length);
+        this.ensureNodePointCapacity(drawn.length);
+        // Cull per instance, since the instanced mesh as a whole is always on screen
+        this.camera.updateMatrixWorld();
+        const viewProjection = new THREE.Matrix4().multiplyMatrices(this.camera.projectionMatrix, this.camera.matrixWorldInverse);
+        this.cameraFrustum.setFromProjectionMatrix(viewProjection);
+        const matrix = new THREE.Matrix4();
+        const quaternion = new THREE.Quaternion();
+        const scale = new THREE.Vector3();
+        const bounds = new THREE.Sphere();
+        const pointPositions = this.nodePoints.geometry.getAttribute('position');
+        const pointColors = this.nodePoints.geometry.getAttribute('color');
+        let meshCount = 0;
+        let pointCount = 0;
+        for (const node of drawn) {
+            const size = node.scale * node.spawnScale;
+            bounds.set(node.renderPosition, size);
+            if (!this.cameraFrustum.intersectsSphere(bounds))
+                continue;
+            if (this.camera.position.distanceTo(node.renderPosition) > this.lodDistance) {
+                pointPositions.setXYZ(pointCount, node.renderPosition.x, node.renderPosition.y, node.renderPosition.z);
+                pointColors.setXYZ(pointCount, node.color.r, node.color.g, node.color.b);
+                pointCount++;
+                continue;
+            }
+            quaternion.setFromEuler(node.rotation);
+            scale.setScalar(size);
+            matrix.compose(node.renderPosition, quaternion, scale);
+            this.nodeMesh.setMatrixAt(meshCount, matrix);
+            this.nodeMesh.setColorAt(meshCount, node.color);
+            meshCount++;
+        }
+        this.nodeMesh.count = meshCount;
+        this.nodeMesh.instanceMatrix.needsUpdate = true;
+        if (this.nodeMesh.instanceColor)
+            this.nodeMesh.instanceColor.needsUpdate = true;
+        this.nodePoints.geometry.setDrawRange(0, pointCount);
+        pointPositions.needsUpdate = true;
+        pointColors.needsUpdate = true;
+        // Whole-mesh culling uses the bounding sphere, so keep it in step with the instances
+        this.nodeMesh.computeBoundingSphere();
+    }
+    updateParticleInstances(alpha) {
+        this.ensureParticleCapacity(this.simulation.particles.length);
+        const opacities = this.particleMesh.geometry.getAttribute('instanceOpacity');
+        const matrix = new THREE.Matrix4();
+        const position = new THREE.Vector3();
+        this.simulation.particles.forEach((particle, i) => {
+            const progress = this.lerp(particle.previousProgress, particle.progress, alpha);
+            position.lerpVectors(particle.startNode.renderPosition, particle.endNode.renderPosition, progress);
+            matrix.makeScale(this.particleSize, this.particleSize, this.particleSize).setPosition(position);
+            this.particleMesh.setMatrixAt(i, matrix);
+            this.particleMesh.setColorAt(i, this.particleRenderColor);
+            opacities.setX(i, particle.opacity);
+        });
+        this.particleMesh.count = this.simulation.particles.length;
+        this.particleMesh.instanceMatrix.needsUpdate = true;
+        if (this.particleMesh.instanceColor)
+            this.particleMesh.instanceColor.needsUpdate = true;
+        opacities.needsUpdate = true;
+    }
+    // Bring the synth in line with the sound settings, starting or stopping it on mute changes
+    updateSound() {
+        if (this.soundMuted || this.disposed) {
+            this.soundSynth?.dispose();
+            this.soundSynth = null;
             return;
-        // Remove the last node (could be made smarter to remove least active node)
-        const nodeToRemove = this.nodes.pop();
-        if (!nodeToRemove)
+        }
+        this.soundSynth ?? (this.soundSynth = new SoundSynth());
+        this.soundSynth.setVolume(this.soundVolume);
+        this.soundSynth.setScale(this.soundScale, this.soundKey);
+    }
+    async connectMidi() {
+        if (this.midiInput)
             return;
-        // Animate scale down before removal
-        this.animateNodeScaleDown(nodeToRemove.mesh, () => {
-            // Remove from scene and dispose resources
-            this.scene.remove(nodeToRemove.mesh);
-            nodeToRemove.mesh.geometry.dispose();
-            nodeToRemove.mesh.material.dispose();
-        });
+        try {
+            this.midiInput = await MidiInput.connect(this.handleControlMessage);
+            console.log(`MIDI enabled with ${this.midiInput.inputCount} input(s)`);
+        }
+        catch (error) {
+            console.error('Error enabling MIDI:', error);
+            alert('MIDI is unavailable. It needs a browser with Web MIDI support and permission to use it.');
+        }
+        this.updateControllerStatus();
     }
-    isTooCloseToExistingNodes(position, minDistance) {
-        for (const node of this.nodes) {
-            if (position.distanceTo(node.position) < minDistance) {
-                return true;
+    connectOsc(url) {
+        this.oscBridge?.dispose();
+        this.oscBridge = null;
+        try {
+            this.oscBridge = new OscBridge(url, this.handleControlMessage, () => this.updateControllerStatus());
+        }
+        catch (error) {
+            console.error('Error connecting to OSC bridge:', error);
+        }
+        this.updateControllerStatus();
+    }
+    setControlLearning(learning) {
+        this.controlLearning = learning;
+        if (!learning)
+            this.setLearnTarget(null, null);
+        this.updateControllerStatus();
+    }
+    setLearnTarget(target, element) {
+        if (this.learnHighlight)
+            this.learnHighlight.style.outline = '';
+        this.learnTarget = target;
+        this.learnHighlight = element;
+        if (element)
+            element.style.outline = '2px solid #ff9800';
+        this.updateControllerStatus();
+    }
+    // Drive a control as if the user moved it, so every existing handler and display follows
+    applyControlValue(target, value) {
+        if (target.startsWith('preset:')) {
+            if (value > 0 && !this.isTransitioning) {
+                this.loadPreset(target.slice('preset:'.length), { transition: true }).catch(error => console.error('Error loading preset:', error));
             }
+            return;
+        }
+        const control = this.controlPanel?.controls[target];
+        if (!(control instanceof HTMLInputElement))
+            return;
+        if (control.type === 'range') {
+            const min = parseFloat(control.min);
+            const max = parseFloat(control.max);
+            control.value = (min + value * (max - min)).toString();
+            control.dispatchEvent(new Event('input'));
+        }
+        else if (control.type === 'color') {
+            const color = new THREE.Color().setStyle(control.value, THREE.SRGBColorSpace);
+            const hsl = { h: 0, s: 0, l: 0 };
+            color.getHSL(hsl, THREE.SRGBColorSpace);
+            // Keep greys and near-black colors visible once a knob takes over the hue
+            color.setHSL(value, Math.max(hsl.s, 0.5), THREE.MathUtils.clamp(hsl.l, 0.25, 0.75), THREE.SRGBColorSpace);
+            control.value = `#${color.getHexString(THREE.SRGBColorSpace)}`;
+            control.dispatchEvent(new Event('change'));
+        }
+    }
+    updateControllerStatus() {
+        if (!this.controllerStatus)
+            return;
+        const midi = this.midiInput ? 'on' : 'off';
+        const osc = this.oscBridge?.status ?? 'off';
+        const count = this.controlMappings.length;
+        let status = `MIDI ${midi} · OSC ${osc} · ${count} mapping${count === 1 ? '' : 's'}`;
+        if (this.controlLearning) {
+            status += this.learnTarget
+                ? ` · Move a knob for ${this.learnTarget}`
+                : ' · Click a slider, color or preset';
         }
-        return false;
+        this.controllerStatus.textContent = status;
+    }
+    updateAudioLevels() {
+        const levels = this.audioInput?.getLevels() ?? null;
+        this.simulation.audioLevels = levels;
+        this.audioMeterBars.forEach((bar, index) => {
+            bar.style.height = `${Math.round((levels?.[index] ?? 0) * 100)}%`;
+        });
+    }
+    stepSimulation(deltaTime) {
+        this.updatePlaylist(deltaTime);
+        this.updateTransition(deltaTime);
+        // Hand the simulation the mouse as a world-space ray for hover glow and mouse gravity
+        this.raycaster.setFromCamera(this.mouse, this.camera);
+        this.simulation.pointerRay = this.raycaster.ray;
+        this.simulation.step(deltaTime);
+    }
+    interpolateRenderState(alpha) {
+        // Blend between the last two fixed steps so motion stays smooth at any refresh rate
+        this.simulation.nodes.forEach(node => {
+            node.renderPosition.lerpVectors(node.previousPosition, node.position, alpha);
+        });
+        this.updateNodeInstances();
+        this.updateParticleInstances(alpha);
+        this.updateConnectionGeometry();
+        this.updateRippleMeshes();
     }
-    animateNodeScaleUp(mesh) {
-        const startTime = performance.now();
-        const duration = 500; // 0.5 seconds
-        const animate = () => {
-            const elapsed = performance.now() - startTime;
-            const progress = Math.min(elapsed / duration, 1);
-            const easeOut = 1 - Math.pow(1 - progress, 3);
-            mesh.scale.setScalar(0.1 + (1 - 0.1) * easeOut);
-            if (progress < 1) {
-                requestAnimationFrame(animate);
+    setCameraMode(mode) {
+        if (mode === this.cameraMode)
+            return;
+        this.cameraMode = mode;
+        if (mode === 'fly') {
+            // WASD to move, R/F up and down, Q/E roll, drag to look
+            this.orbitControls.enabled = false;
+            this.flyControls = new FlyControls(this.camera, this.renderer.domElement);
+            this.flyControls.movementSpeed = 10;
+            this.flyControls.rollSpeed = 0.5;
+            this.flyControls.dragToLook = true;
+        }
+        else {
+            // Orbit around whatever the camera ended up looking at
+            const target = this.getCameraTarget();
+            this.flyControls?.dispose();
+            this.flyControls = null;
+            this.orbitControls.target.copy(target);
+            this.orbitControls.enabled = true;
+            this.orbitControls.update();
+        }
+        console.log(`Camera mode: ${mode}`);
+    }
+    getCameraTarget() {
+        if (this.cameraMode === 'orbit') {
+            return this.orbitControls.target.clone();
+        }
+        // Flying has no pivot, so use a point straight ahead at the last orbit distance
+        const distance = Math.max(this.camera.position.distanceTo(this.orbitControls.target), 5);
+        const forward = this.camera.getWorldDirection(new THREE.Vector3());
+        return this.camera.position.clone().addScaledVector(forward, distance);
+    }
+    saveCameraBookmark(name) {
+        const target = this.getCameraTarget();
+        const bookmark = {
+            name,
+            position: [this.camera.position.x, this.camera.position.y, this.camera.position.z],
+            target: [target.x, target.y, target.z]
+        };
+        // Saving under an existing name overwrites it
+        const existing = this.cameraBookmarks.findIndex(b => b.name === name);
+        if (existing !== -1) {
+            this.cameraBookmarks[existing] = bookmark;
+        }
+        else {
+            this.cameraBookmarks.push(bookmark);
+        }
+        this.refreshBookmarkSelect();
+        this.bookmarkSelect.value = name;
+        console.log(`Camera bookmark "${name}" saved`);
+    }
+    deleteCameraBookmark(name) {
+        this.cameraBookmarks = this.cameraBookmarks.filter(b => b.name !== name);
+        this.refreshBookmarkSelect();
+    }
+    goToCameraBookmark(name) {
+        const bookmark = this.cameraBookmarks.find(b => b.name === name);
+        if (!bookmark)
+            return;
+        this.flyCameraTo(new THREE.Vector3(...bookmark.position), new THREE.Vector3(...bookmark.target));
+    }
+    resetCameraView() {
+        this.flyCameraTo(this.homeCameraPosition.clone(), new THREE.Vector3(0, 0, 0));
+    }
+    flyCameraTo(position, target) {
+        // Camera moves share the duration and easing of preset transitions
+        this.cameraFlight = {
+            fromPosition: this.camera.position.clone(),
+            fromTarget: this.getCameraTarget(),
+            toPosition: position,
+            toTarget: target,
+            elapsed: 0,
+            duration: this.transitionDuration,
+            easing: this.transitionEasing
+        };
+    }
+    updateCamera(deltaTime) {
+        if (this.cameraFlight) {
+            const flight = this.cameraFlight;
+            flight.elapsed += deltaTime;
+            const progress = Math.min(flight.elapsed / flight.duration, 1);
+            const t = this.getEasingFunction(flight.easing)(progress);
+            this.camera.position.lerpVectors(flight.fromPosition, flight.toPosition, t);
+            this.orbitControls.target.lerpVectors(flight.fromTarget, flight.toTarget, t);
+            this.camera.lookAt(this.orbitControls.target);
+            if (progress >= 1) {
+                this.cameraFlight = null;
             }
+        }
+        else if (this.cinematicMode !== 'off') {
+            this.updateCinematicCamera(deltaTime);
+        }
+        if (this.flyControls) {
+            if (!this.cameraFlight && this.cinematicMode === 'off')
+                this.flyControls.update(deltaTime);
+        }
+        else {
+            this.orbitControls.update();
+        }
+    }
+    setCinematicMode(mode) {
+        this.cinematicMode = mode;
+        this.cinematicTime = 0;
+        this.followedNode = null;
+        this.followRetargetTimer = 0;
+        if (this.cinematicSelect)
+            this.cinematicSelect.value = mode;
+        // Glide onto the start of the path rather than jumping there
+        if (mode === 'path' && this.cameraPath && this.cameraPath.keyframes.length > 0) {
+            const first = this.cameraPath.keyframes[0];
+            this.flyCameraTo(new THREE.Vector3(...first.position), new THREE.Vector3(...first.target));
+        }
+    }
+    setCameraPath(path) {
+        this.cameraPath = path;
+        this.cameraPathCurves = null;
+        if (path && path.keyframes.length >= 2) {
+            this.cameraPathCurves = {
+                position: new THREE.CatmullRomCurve3(path.keyframes.map(k => new THREE.Vector3(...k.position)), path.loop, 'centripetal'),
+                target: new THREE.CatmullRomCurve3(path.keyframes.map(k => new THREE.Vector3(...k.target)), path.loop, 'centripetal')
+            };
+        }
+        if (this.cameraPathInfo) {
+            const count = path ? path.keyframes.length : 0;
+            this.cameraPathInfo.textContent = `Path: ${count} keyframe${count === 1 ? '' : 's'}`;
+        }
+    }
+    addCameraPathKeyframe() {
+        const target = this.getCameraTarget();
+        const keyframe = {
+            position: [this.camera.position.x, this.camera.position.y, this.camera.position.z],
+            target: [target.x, target.y, target.z]
         };
-        animate();
-    }
-    animateNodeScaleDown(mesh, onComplete) {
-        const startTime = performance.now();
-        const duration = 300; // 0.3 seconds
-        const startScale = mesh.scale.x;
-        // Mark the mesh for removal to prevent it from being updated
-        mesh.isBeingRemoved = true;
-        const animate = () => {
-            const elapsed = performance.now() - startTime;
-            const progress = Math.min(elapsed / duration, 1);
-            const easeIn = progress * progress * progress;
-            // Ensure mesh still exists before scaling
-            if (mesh.parent) {
-                mesh.scale.setScalar(startScale * (1 - easeIn));
+        // A new path picks up the current transition easing
+        const path = this.cameraPath
+            ? { ...this.cameraPath, keyframes: [...this.cameraPath.keyframes, keyframe] }
+            : { keyframes: [keyframe], easing: this.transitionEasing, loop: true };
+        this.setCameraPath(path);
+    }
+    updateCinematicCamera(deltaTime) {
+        this.cinematicTime += deltaTime;
+        const target = this.orbitControls.target;
+        switch (this.cinematicMode) {
+            case 'path': {
+                if (!this.cameraPath || !this.cameraPathCurves)
+                    return;
+                const cycles = this.cinematicTime / this.cameraPathDuration;
+                const progress = this.cameraPath.loop ? cycles % 1 : Math.min(cycles, 1);
+                const t = this.getEasingFunction(this.cameraPath.easing)(progress);
+                this.cameraPathCurves.position.getPoint(t, this.camera.position);
+                this.cameraPathCurves.target.getPoint(t, target);
+                this.camera.lookAt(target);
+                break;
             }
-            if (progress >= 1) {
-                // Ensure cleanup happens
-                try {
-                    onComplete();
-                }
-                catch (error) {
-                    console.error('Error during node removal:', error);
+            case 'follow': {
+                // Re-pick the most active node now and then so the camera doesn't twitch between nodes
+                this.followRetargetTimer -= deltaTime;
+                if (this.followRetargetTimer <= 0 || !this.followedNode || !this.simulation.nodes.includes(this.followedNode)) {
+                    this.followedNode = this.simulation.nodes.reduce((best, node) => !best || node.activity > best.activity ? node : best, null);
+                    this.followRetargetTimer = 1.5;
                 }
+                if (!this.followedNode)
+                    return;
+                // Ease the pivot toward the node and carry the camera along at the same offset
+                const offset = this.camera.position.clone().sub(target);
+                const smoothing = 1 - Math.exp(-2 * deltaTime);
+                target.lerp(this.followedNode.renderPosition, smoothing);
+                const distance = THREE.MathUtils.clamp(offset.length(), 6, 20);
+                this.camera.position.copy(target).addScaledVector(offset.normalize(), distance);
+                this.camera.lookAt(target);
+                break;
             }
-            else {
-                requestAnimationFrame(animate);
+            case 'orbit': {
+                // Slow turn around the current pivot
+                const angle = THREE.MathUtils.degToRad(this.autoOrbitSpeed) * deltaTime;
+                const offset = this.camera.position.clone().sub(target).applyAxisAngle(new THREE.Vector3(0, 1, 0), angle);
+                this.camera.position.copy(target).add(offset);
+                this.camera.lookAt(target);
+                break;
             }
-        };
-        animate();
-    }
-    recreateNodes() {
-        // Clear existing nodes
-        this.nodes.forEach(node => {
-            this.scene.remove(node.mesh);
-            node.mesh.geometry.dispose();
-            node.mesh.material.dispose();
-        });
-        this.nodes = [];
-        // Create new nodes
-        this.createNodes();
+        }
     }
-    setupEventListeners() {
-        // Mouse movement
-        window.addEventListener('mousemove', (event) => {
-            this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-            this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
-        });
-        // Window resize
-        window.addEventListener('resize', () => {
-            this.onWindowResize();
+    refreshBookmarkSelect() {
+        if (!this.bookmarkSelect)
+            return;
+        this.bookmarkSelect.innerHTML = '';
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = this.cameraBookmarks.length > 0 ? 'Select bookmark...' : 'No bookmarks';
+        this.bookmarkSelect.appendChild(placeholder);
+        this.cameraBookmarks.forEach(bookmark => {
+            const option = document.createElement('option');
+            option.value = bookmark.name;
+            option.textContent = bookmark.name;
+            this.bookmarkSelect.appendChild(option);
         });
     }
-    onWindowResize() {
-        this.camera.aspect = window.innerWidth / window.innerHeight;
-        this.camera.updateProjectionMatrix();
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
-        // Recreate box environment for new screen size
-        this.recreateBoxEnvironment();
-    }
-    recreateBoxEnvironment() {
-        // Clear existing box environment
-        this.boxEnvironment.clear();
-        // Recreate box environment with new dimensions
-        this.createBoxEnvironment();
-    }
-    updateNodes() {
-        const time = this.clock.getElapsedTime();
-        const deltaTime = 1 / 60; // Fixed 60 FPS delta time for consistent behavior
-        // Update raycaster for mouse interaction
-        this.raycaster.setFromCamera(this.mouse, this.camera);
-        this.nodes.forEach((node, index) => {
-            const { mesh, position, velocity, targetPosition, baseColor, mass, restitution, friction, angularVelocity } = node;
-            // Skip nodes that are being removed
-            if (mesh.isBeingRemoved)
-                return;
-            // Update activity (neural firing simulation)
-            node.activity = (Math.sin(time * this.activitySpeed + index) + 1) * 0.5;
-            // Apply velocity to position (constant speed movement)
-            position.add(velocity.clone().multiplyScalar(this.nodeSpeed));
-            // Boundary constraints based on camera frustum - proper bouncing
-            const depth = 20;
-            const fov = this.camera.fov * Math.PI / 180;
-            const aspect = this.camera.aspect;
-            const height = 2 * Math.tan(fov / 2) * depth;
-            const width = height * aspect;
-            const boundaryX = width * 0.5;
-            const boundaryY = height * 0.5;
-            const boundaryZ = depth * 0.4;
-            // Enhanced collision detection with realistic physics
-            let collisionOccurred = false;
-            const minTimeBetweenCollisions = 0.1; // Prevent multiple collisions in quick succession
-            // X-axis collisions (left/right walls)
-            if (position.x > boundaryX) {
-                position.x = boundaryX;
-                if (velocity.x > 0 && (time - node.lastCollisionTime) > minTimeBetweenCollisions) {
-                    const impactSpeed = Math.abs(velocity.x);
-                    velocity.x = -velocity.x * (node.restitution * this.wallRestitution);
-                    velocity.y *= this.wallFriction;
-                    velocity.z *= this.wallFriction;
-                    // Add some random angular velocity from impact
-                    angularVelocity.add(new THREE.Vector3((Math.random() - 0.5) * impactSpeed * 0.1, (Math.random() - 0.5) * impactSpeed * 0.1, (Math.random() - 0.5) * impactSpeed * 0.1));
-                    node.lastCollisionTime = time;
-                    collisionOccurred = true;
-                    if (this.showRipples) {
-                        const ripplePos = new THREE.Vector3(boundaryX, position.y, position.z);
-                        const normal = new THREE.Vector3(-1, 0, 0);
-                        this.ripples.push(this.createRipple(ripplePos, normal, 'right'));
-                    }
-                }
+    async exportVideo(options, onProgress) {
+        if (this.isExporting)
+            return;
+        if (options.format === 'webm' && typeof VideoEncoder === 'undefined') {
+            throw new Error('WebM export needs WebCodecs (Chrome, Edge or Safari 16.4+). Try a PNG sequence instead.');
+        }
+        const totalFrames = Math.max(1, Math.round(options.duration * options.fps));
+        const frameTime = 1 / options.fps;
+        const canvas = this.renderer.domElement;
+        this.beginOfflineRender(options.width, options.height);
+        let encoder = null;
+        let encoderError = null;
+        let webm = null;
+        let zip = null;
+        try {
+            if (options.format === 'webm') {
+                const bitrate = Math.round(options.width * options.height * options.fps * 0.15);
+                const { codec, codecId } = await this.pickVideoCodec(options.width, options.height, options.fps, bitrate);
+                const writer = new WebMWriter(codecId, options.width, options.height);
+                webm = writer;
+                encoder = new VideoEncoder({
+                    output: chunk => writer.addChunk(chunk),
+                    error: error => encoderError = error
+                });
+                encoder.configure({ codec, width: options.width, height: options.height, bitrate, framerate: options.fps });
             }
-            else if (position.x < -boundaryX) {
-                position.x = -boundaryX;
-                if (velocity.x < 0 && (time - node.lastCollisionTime) > minTimeBetweenCollisions) {
-                    const impactSpeed = Math.abs(velocity.x);
-                    velocity.x = -velocity.x * (node.restitution * this.wallRestitution);
-                    velocity.y *= this.wallFriction;
-                    velocity.z *= this.wallFriction;
-                    angularVelocity.add(new THREE.Vector3((Math.random() - 0.5) * impactSpeed * 0.1, (Math.random() - 0.5) * impactSpeed * 0.1, (Math.random() - 0.5) * impactSpeed * 0.1));
-                    node.lastCollisionTime = time;
-                    collisionOccurred = true;
-                    if (this.showRipples) {
-                        const ripplePos = new THREE.Vector3(-boundaryX, position.y, position.z);
-                        const normal = new THREE.Vector3(1, 0, 0);
-                        this.ripples.push(this.createRipple(ripplePos, normal, 'left'));
-                    }
-                }
+            else {
+                zip = new ZipWriter();
             }
-            // Y-axis collisions (floor/ceiling)
-            if (position.y > boundaryY) {
-                position.y = boundaryY;
-                if (velocity.y > 0 && (time - node.lastCollisionTime) > minTimeBetweenCollisions) {
-                    const impactSpeed = Math.abs(velocity.y);
-                    velocity.y = -velocity.y * (node.restitution * this.wallRestitution);
-                    velocity.x *= this.wallFriction;
-                    velocity.z *= this.wallFriction;
-                    angularVelocity.add(new THREE.Vector3((Math.random() - 0.5) * impactSpeed * 0.1, (Math.random() - 0.5) * impactSpeed * 0.1, (Math.random() - 0.5) * impactSpeed * 0.1));
-                    node.lastCollisionTime = time;
-                    collisionOccurred = true;
-                    if (this.showRipples) {
-                        const ripplePos = new THREE.Vector3(position.x, boundaryY, position.z);
-                        const normal = new THREE.Vector3(0, -1, 0);
-                        this.ripples.push(this.createRipple(ripplePos, normal, 'ceiling'));
+            for (let frame = 0; frame < totalFrames && !this.exportCancelled; frame++) {
+                if (encoderError)
+                    throw encoderError;
+                this.renderOfflineFrame(frameTime);
+                if (encoder) {
+                    const videoFrame = new VideoFrame(canvas, { timestamp: Math.round(frame * frameTime * 1e6), duration: Math.round(frameTime * 1e6) });
+                    encoder.encode(videoFrame, { keyFrame: frame % (options.fps * 2) === 0 });
+                    videoFrame.close();
+                    // Let the encoder catch up rather than queueing every frame in memory
+                    while (encoder.encodeQueueSize > 4) {
+                        await new Promise(resolve => setTimeout(resolve, 5));
                     }
                 }
-            }
-            else if (position.y < -boundaryY) {
-                position.y = -boundaryY;
-                if (velocity.y < 0 && (time - node.lastCollisionTime) > minTimeBetweenCollisions) {
-                    const impactSpeed = Math.abs(velocity.y);
-                    velocity.y = -velocity.y * (node.restitution * this.wallRestitution);
-                    velocity.x *= this.wallFriction;
-                    velocity.z *= this.wallFriction;
-                    angularVelocity.add(new THREE.Vector3((Math.random() - 0.5) * impactSpeed * 0.1, (Math.random() - 0.5) * impactSpeed * 0.1, (Math.random() - 0.5) * impactSpeed * 0.1));
-                    node.lastCollisionTime = time;
-                    collisionOccurred = true;
-                    if (this.showRipples) {
-                        const ripplePos = new THREE.Vector3(position.x, -boundaryY, position.z);
-                        const normal = new THREE.Vector3(0, 1, 0);
-                        this.ripples.push(this.createRipple(ripplePos, normal, 'floor'));
-                    }
+                else if (zip) {
+                    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+                    if (!blob)
+                        throw new Error(`Could not read frame ${frame}`);
+                    await zip.addFile(`frame_${String(frame).padStart(5, '0')}.png`, blob);
                 }
+                onProgress(frame + 1, totalFrames);
+                await new Promise(resolve => setTimeout(resolve, 0)); // Keep the page responsive
             }
-            // Z-axis collisions (front/back walls)
-            if (position.z > boundaryZ) {
-                position.z = boundaryZ;
-                if (velocity.z > 0 && (time - node.lastCollisionTime) > minTimeBetweenCollisions) {
-                    const impactSpeed = Math.abs(velocity.z);
-                    velocity.z = -velocity.z * (node.restitution * this.wallRestitution);
-                    velocity.x *= this.wallFriction;
-                    velocity.y *= this.wallFriction;
-                    angularVelocity.add(new THREE.Vector3((Math.random() - 0.5) * impactSpeed * 0.1, (Math.random() - 0.5) * impactSpeed * 0.1, (Math.random() - 0.5) * impactSpeed * 0.1));
-                    node.lastCollisionTime = time;
-                    collisionOccurred = true;
-                    // No ripple for front wall (camera side)
-                }
+            if (this.exportCancelled) {
+                console.log('Export cancelled');
+                return;
             }
-            else if (position.z < -boundaryZ) {
-                position.z = -boundaryZ;
-                if (velocity.z < 0 && (time - node.lastCollisionTime) > minTimeBetweenCollisions) {
-                    const impactSpeed = Math.abs(velocity.z);
-                    velocity.z = -velocity.z * (node.restitution * this.wallRestitution);
-                    velocity.x *= this.wallFriction;
-                    velocity.y *= this.wallFriction;
-                    angularVelocity.add(new THREE.Vector3((Math.random() - 0.5) * impactSpeed * 0.1, (Math.random() - 0.5) * impactSpeed * 0.1, (Math.random() - 0.5) * impactSpeed * 0.1));
-                    node.lastCollisionTime = time;
-                    collisionOccurred = true;
-                    if (this.showRipples) {
-                        const ripplePos = new THREE.Vector3(position.x, position.y, -boundaryZ);
-                        const normal = new THREE.Vector3(0, 0, 1);
-                        this.ripples.push(this.createRipple(ripplePos, normal, 'back'));
-                    }
-                }
+            const baseName = `${this.getCaptureBaseName()}-${options.width}x${options.height}`;
+            if (encoder && webm) {
+                await encoder.flush();
+                if (encoderError)
+                    throw encoderError;
+                this.downloadBlob(webm.finish(frameTime * 1000), `${baseName}.webm`);
             }
-            // Apply angular velocity damping
-            angularVelocity.multiplyScalar(0.98);
-            // Mouse interaction
-            const intersects = this.raycaster.intersectObject(mesh);
-            let mouseInfluence = 0;
-            if (intersects.length > 0) {
-                mouseInfluence = 1.0;
+            else if (zip) {
+                this.downloadBlob(zip.finish(), `${baseName}-frames.zip`);
             }
-            else {
-                // Check distance to mouse in world space
-                const worldMouse = new THREE.Vector3();
-                worldMouse.unproject(this.camera);
-                const direction = new THREE.Vector3();
-                direction.subVectors(worldMouse, this.camera.position).normalize();
-                const distance = this.camera.position.distanceTo(position);
-                const mouseWorldPos = this.camera.position.clone().add(direction.multiplyScalar(distance));
-                const distanceToMouse = position.distanceTo(mouseWorldPos);
-                mouseInfluence = Math.max(0, 1 - distanceToMouse / this.mouseInfluenceRadius);
-            }
-            // Update node appearance based on activity and mouse interaction
-            const activityIntensity = node.activity + mouseInfluence * 0.5;
-            const scale = 1.0 + activityIntensity * 0.3;
-            mesh.scale.setScalar(scale);
-            // Update color based on activity
-            const color = baseColor.clone();
-            color.lerp(new THREE.Color(1, 1, 1), activityIntensity * 0.4);
-            mesh.material.color.copy(color);
-            // Update mesh position
-            mesh.position.copy(position);
-            // Apply angular velocity for realistic rotation
-            mesh.rotation.x += angularVelocity.x;
-            mesh.rotation.y += angularVelocity.y;
-            mesh.rotation.z += angularVelocity.z;
-            // Add gentle base rotation when not colliding
-            if (!collisionOccurred) {
-                mesh.rotation.x += 0.005 * this.nodeSpeed;
-                mesh.rotation.y += 0.008 * this.nodeSpeed;
-                mesh.rotation.z += 0.003 * this.nodeSpeed;
-            }
-        });
-        // Update connection lines
-        this.updateConnectionGeometry();
+            console.log(`Exported ${totalFrames} frames`);
+        }
+        finally {
+            if (encoder && encoder.state !== 'closed')
+                encoder.close();
+            this.endOfflineRender();
+        }
     }
-    updateConnectionGeometry() {
-        let connectionIndex = 0;
-        for (let i = 0; i < this.nodes.length; i++) {
-            for (let j = i + 1; j < this.nodes.length; j++) {
-                if (connectionIndex < this.connectionLines.children.length) {
-                    const line = this.connectionLines.children[connectionIndex];
-                    const geometry = line.geometry;
-                    const positions = new Float32Array([
-                        this.nodes[i].position.x, this.nodes[i].position.y, this.nodes[i].position.z,
-                        this.nodes[j].position.x, this.nodes[j].position.y, this.nodes[j].position.z
-                    ]);
-                    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-                    // Update line opacity based on node activity
-                    const avgActivity = (this.nodes[i].activity + this.nodes[j].activity) * 0.5;
-                    const material = line.material;
-                    material.opacity = this.connectionOpacity * (0.3 + avgActivity * 0.7);
+    beginOfflineRender(width, height) {
+        this.isExporting = true;
+        this.exportCancelled = false;
+        this.offlinePixelRatio = this.renderer.getPixelRatio();
+        this.offlineAccumulator = 0;
+        // Render at the requested size without changing the on-screen layout
+        this.renderer.setPixelRatio(1);
+        this.renderer.setSize(width, height, false);
+        this.camera.aspect = width / height;
+        this.camera.updateProjectionMatrix();
+    }
+    renderOfflineFrame(frameTime) {
+        // animate() is idle while exporting, so sample the audio here; levels follow the source as it plays during the render
+        this.updateAudioLevels();
+        // Advance the simulation by exactly one output frame of fixed steps
+        const simulationSpeed = this.timeScale > 0 ? this.timeScale : 1; // A paused scene still exports at normal speed
+        this.offlineAccumulator += frameTime * simulationSpeed;
+        while (this.offlineAccumulator >= this.fixedTimeStep - 1e-9) {
+            this.stepSimulation(this.fixedTimeStep);
+            this.offlineAccumulator -= this.fixedTimeStep;
+        }
+        this.updateCamera(frameTime);
+        this.interpolateRenderState(Math.max(0, this.offlineAccumulator) / this.fixedTimeStep);
+        this.renderer.render(this.scene, this.camera);
+    }
+    endOfflineRender() {
+        this.isExporting = false;
+        this.camera.clearViewOffset();
+        this.renderer.setPixelRatio(this.offlinePixelRatio);
+        this.resize();
+        // Drop the time spent rendering so the live view doesn't fast-forward
+        this.clock.getDelta();
+        this.accumulator = 0;
+    }
+    async captureStill(width, height, onProgress) {
+        if (this.isExporting)
+            return;
+        // Render in tiles so the image can be larger than the GPU's maximum drawing buffer
+        const tileSize = Math.min(this.renderer.capabilities.maxTextureSize, 4096);
+        const columns = Math.ceil(width / tileSize);
+        const rows = Math.ceil(height / tileSize);
+        const output = document.createElement('canvas');
+        output.width = width;
+        output.height = height;
+        const context = output.getContext('2d');
+        if (!context)
+            throw new Error('Could not create a canvas for the capture');
+        this.beginOfflineRender(Math.min(width, tileSize), Math.min(height, tileSize));
+        try {
+            // Freeze the current frame at the capture aspect, so culling covers the whole image
+            this.camera.aspect = width / height;
+            this.camera.updateProjectionMatrix();
+            this.interpolateRenderState(this.accumulator / this.fixedTimeStep);
+            for (let row = 0; row < rows; row++) {
+                for (let column = 0; column < columns; column++) {
+                    const x = column * tileSize;
+                    const y = row * tileSize;
+                    const tileWidth = Math.min(tileSize, width - x);
+                    const tileHeight = Math.min(tileSize, height - y);
+                    this.renderer.setSize(tileWidth, tileHeight, false);
+                    this.camera.setViewOffset(width, height, x, y, tileWidth, tileHeight);
+                    this.renderer.render(this.scene, this.camera);
+                    context.drawImage(this.renderer.domElement, 0, 0, tileWidth, tileHeight, x, y, tileWidth, tileHeight);
+                    onProgress(row * columns + column + 1, rows * columns);
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                }
+            }
+        }
+        finally {
+            this.endOfflineRender();
+        }
+        const blob = await new Promise(resolve => output.toBlob(resolve, 'image/png'));
+        if (!blob)
+            throw new Error('Could not encode the image, try a smaller resolution');
+        this.downloadBlob(blob, `${this.getCaptureBaseName()}-${width}x${height}.png`);
+        console.log(`Captured ${width}x${height} still`);
+    }
+    async captureLoop(width, height, fps, duration, crossfade, onProgress) {
+        if (this.isExporting)
+            return;
+        // Record the loop plus a tail, then fade the tail into the start so the last frame flows into the first
+        const loopFrames = Math.max(2, Math.round(duration * fps));
+        const fadeFrames = Math.min(Math.round(crossfade * fps), loopFrames - 1);
+        const totalFrames = loopFrames + fadeFrames;
+        const frameTime = 1 / fps;
+        const reader = document.createElement('canvas');
+        reader.width = width;
+        reader.height = height;
+        const context = reader.getContext('2d', { willReadFrequently: true });
+        if (!context)
+            throw new Error('Could not create a canvas for the capture');
+        // The faded frames open the animation, but are only known once the tail has been recorded
+        const openingFrames = new APNGWriter(width, height);
+        const remainingFrames = new APNGWriter(width, height);
+        const headFrames = [];
+        this.beginOfflineRender(width, height);
+        try {
+            for (let frame = 0; frame < totalFrames && !this.exportCancelled; frame++) {
+                this.renderOfflineFrame(frameTime);
+                context.drawImage(this.renderer.domElement, 0, 0);
+                const pixels = context.getImageData(0, 0, width, height).data;
+                if (frame < fadeFrames) {
+                    // Held back until the tail arrives to blend with
+                    headFrames.push(pixels);
+                }
+                else if (frame < loopFrames) {
+                    await remainingFrames.addFrame(pixels);
+                }
+                else {
+                    const head = headFrames[frame - loopFrames];
+                    const t = (frame - loopFrames) / fadeFrames;
+                    for (let i = 0; i < pixels.length; i++) {
+                        pixels[i] = pixels[i] + (head[i] - pixels[i]) * t;
+                    }
+                    await openingFrames.addFrame(pixels);
                 }
-                connectionIndex++;
+                onProgress(frame + 1, totalFrames);
+                await new Promise(resolve => setTimeout(resolve, 0));
             }
         }
+        finally {
+            this.endOfflineRender();
+        }
+        if (this.exportCancelled) {
+            console.log('Loop capture cancelled');
+            return;
+        }
+        openingFrames.appendFrames(remainingFrames);
+        this.downloadBlob(openingFrames.finish(fps), `${this.getCaptureBaseName()}-loop-${width}x${height}.png`);
+        console.log(`Captured ${loopFrames}-frame loop`);
+    }
+    getCaptureBaseName() {
+        return this.currentPresetName.replace(/[^a-z0-9-_ ]/gi, '') || 'capture';
+    }
+    async pickVideoCodec(width, height, fps, bitrate) {
+        const candidates = [
+            { codec: 'vp09.00.51.08', codecId: 'V_VP9' },
+            { codec: 'vp09.00.41.08', codecId: 'V_VP9' },
+            { codec: 'vp8', codecId: 'V_VP8' }
+        ];
+        for (const candidate of candidates) {
+            const support = await VideoEncoder.isConfigSupported({ codec: candidate.codec, width, height, bitrate, framerate: fps });
+            if (support.supported)
+                return candidate;
+        }
+        throw new Error(`No WebM encoder supports ${width}x${height}. Try a smaller resolution or a PNG sequence.`);
+    }
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+    setTimeScale(scale) {
+        this.timeScale = scale;
+        // Drop any built-up time so resuming doesn't fast-forward
+        if (scale === 0) {
+            this.accumulator = 0;
+        }
     }
     animate() {
-        requestAnimationFrame(() => this.animate());
-        this.updateTransition();
-        this.updateNodes();
-        this.updateParticles();
-        this.updateRipples();
+        this.animationFrameId = requestAnimationFrame(() => this.animate());
+        // Offline exports step and render on their own schedule
+        if (this.isExporting)
+            return;
+        // Sample the audio once per frame; every step this frame reacts to the same levels
+        this.updateAudioLevels();
+        // Clamp long frames (e.g. after a background tab) so the simulation doesn't try to catch up all at once
+        const frameDelta = Math.min(this.clock.getDelta(), 0.25);
+        this.accumulator += frameDelta * this.timeScale;
+        let steps = 0;
+        while (this.accumulator >= this.fixedTimeStep && steps < this.maxStepsPerFrame) {
+            this.stepSimulation(this.fixedTimeStep);
+            this.accumulator -= this.fixedTimeStep;
+            steps++;
+        }
+        // Too slow to keep up: discard the backlog rather than spiral
+        if (steps === this.maxStepsPerFrame) {
+            this.accumulator = Math.min(this.accumulator, this.fixedTimeStep);
+        }
+        // The camera runs on real time so it stays responsive while the simulation is paused
+        this.updateCamera(frameDelta);
+        this.interpolateRenderState(this.accumulator / this.fixedTimeStep);
         this.renderer.render(this.scene, this.camera);
     }
 }
-// Initialize the animation when the page loads
-window.addEventListener('DOMContentLoaded', () => {
-    new NeuralNetworkAnimation();
-});
 //# sourceMappingURL=index.js.map
\ No newline at end of file
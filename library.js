@@ -0,0 +1,118 @@
+import { normalizePreset, formatPresetIssues } from './presets.js';
+// Browser-local preset library stored in IndexedDB, one record per preset keyed by its name.
+// The whole library can be exported to and imported from a single JSON file.
+const databaseName = 'neural-animation';
+const storeName = 'presets';
+const exportFormat = 'neural-animation-library';
+// Names with this prefix refer to library presets in loadPreset() and the preset dropdown
+export const libraryPrefix = 'library:';
+function requestResult(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+export class PresetLibrary {
+    constructor() {
+        this.database = null;
+    }
+    async list() {
+        const store = await this.getStore('readonly');
+        const presets = await requestResult(store.getAll());
+        return presets.sort((a, b) => a.name.localeCompare(b.name));
+    }
+    async get(name) {
+        const store = await this.getStore('readonly');
+        return (await requestResult(store.get(name))) ?? null;
+    }
+    async has(name) {
+        const store = await this.getStore('readonly');
+        return (await requestResult(store.count(name))) > 0;
+    }
+    // Adds the preset, replacing any saved preset with the same name
+    async save(preset) {
+        const store = await this.getStore('readwrite');
+        await requestResult(store.put(preset));
+    }
+    async rename(name, newName) {
+        const store = await this.getStore('readwrite');
+        const preset = await requestResult(store.get(name));
+        if (!preset)
+            throw new Error(`No saved preset named "${name}"`);
+        if (await requestResult(store.count(newName)) > 0)
+            throw new Error(`A saved preset named "${newName}" already exists`);
+        // Same transaction, so a failure leaves the original in place
+        await requestResult(store.put({ ...preset, name: newName }));
+        await requestResult(store.delete(name));
+    }
+    // Returns the copy's name
+    async duplicate(name) {
+        const preset = await this.get(name);
+        if (!preset)
+            throw new Error(`No saved preset named "${name}"`);
+        const copyName = await this.getUniqueName(`${name} copy`);
+        await this.save({ ...preset, name: copyName });
+        return copyName;
+    }
+    async delete(name) {
+        const store = await this.getStore('readwrite');
+        await requestResult(store.delete(name));
+    }
+    async exportLibrary() {
+        const presets = await this.list();
+        return JSON.stringify({ format: exportFormat, version: 1, presets }, null, 2);
+    }
+    // Accepts a library export, a list of presets or a single preset. Names already in the library get a numbered suffix
+    // so nothing is overwritten. Returns the names stored and a readable line for every preset that needed corrections.
+    async importLibrary(json) {
+        const data = JSON.parse(json);
+        const entries = Array.isArray(data) ? data : Array.isArray(data?.presets) ? data.presets : [data];
+        const imported = [];
+        const problems = [];
+        for (const [index, entry] of entries.entries()) {
+            try {
+                const { preset, issues } = normalizePreset(entry);
+                preset.name = await this.getUniqueName(preset.name);
+                await this.save(preset);
+                imported.push(preset.name);
+                if (issues.length > 0)
+                    problems.push(`${preset.name}:\n${formatPresetIssues(issues)}`);
+            }
+            catch (error) {
+                problems.push(`Entry ${index + 1} skipped: ${error.message}`);
+            }
+        }
+        return { imported, problems };
+    }
+    close() {
+        this.database?.then(database => database.close()).catch(() => { });
+        this.database = null;
+    }
+    async getUniqueName(base) {
+        let name = base;
+        for (let suffix = 2; await this.has(name); suffix++) {
+            name = `${base} (${suffix})`;
+        }
+        return name;
+    }
+    async getStore(mode) {
+        const database = await this.open();
+        return database.transaction(storeName, mode).objectStore(storeName);
+    }
+    open() {
+        this.database ?? (this.database = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available in this browser'));
+                return;
+            }
+            const request = indexedDB.open(databaseName, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(storeName, { keyPath: 'name' });
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }));
+        // A failed open is retried next time rather than cached
+        this.database.catch(() => this.database = null);
+        return this.database;
+    }
+}
+//# sourceMappingURL=library.js.map
\ No newline at end of file
@@ -0,0 +1,131 @@
+import { PresetData } from './index.js';
+import { normalizePreset, formatPresetIssues } from './presets.js';
+
+// Browser-local preset library stored in IndexedDB, one record per preset keyed by its name.
+// The whole library can be exported to and imported from a single JSON file.
+
+const databaseName = 'neural-animation';
+const storeName = 'presets';
+const exportFormat = 'neural-animation-library';
+
+// Names with this prefix refer to library presets in loadPreset() and the preset dropdown
+export const libraryPrefix = 'library:';
+
+function requestResult<T>(request: IDBRequest<T>): Promise<T> {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export class PresetLibrary {
+  private database: Promise<IDBDatabase> | null = null;
+
+  async list(): Promise<PresetData[]> {
+    const store = await this.getStore('readonly');
+    const presets: PresetData[] = await requestResult(store.getAll());
+    return presets.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async get(name: string): Promise<PresetData | null> {
+    const store = await this.getStore('readonly');
+    return (await requestResult(store.get(name))) ?? null;
+  }
+
+  async has(name: string): Promise<boolean> {
+    const store = await this.getStore('readonly');
+    return (await requestResult(store.count(name))) > 0;
+  }
+
+  // Adds the preset, replacing any saved preset with the same name
+  async save(preset: PresetData): Promise<void> {
+    const store = await this.getStore('readwrite');
+    await requestResult(store.put(preset));
+  }
+
+  async rename(name: string, newName: string): Promise<void> {
+    const store = await this.getStore('readwrite');
+    const preset: PresetData | undefined = await requestResult(store.get(name));
+    if (!preset) throw new Error(`No saved preset named "${name}"`);
+    if (await requestResult(store.count(newName)) > 0) throw new Error(`A saved preset named "${newName}" already exists`);
+
+    // Same transaction, so a failure leaves the original in place
+    await requestResult(store.put({ ...preset, name: newName }));
+    await requestResult(store.delete(name));
+  }
+
+  // Returns the copy's name
+  async duplicate(name: string): Promise<string> {
+    const preset = await this.get(name);
+    if (!preset) throw new Error(`No saved preset named "${name}"`);
+    const copyName = await this.getUniqueName(`${name} copy`);
+    await this.save({ ...preset, name: copyName });
+    return copyName;
+  }
+
+  async delete(name: string): Promise<void> {
+    const store = await this.getStore('readwrite');
+    await requestResult(store.delete(name));
+  }
+
+  async exportLibrary(): Promise<string> {
+    const presets = await this.list();
+    return JSON.stringify({ format: exportFormat, version: 1, presets }, null, 2);
+  }
+
+  // Accepts a library export, a list of presets or a single preset. Names already in the library get a numbered suffix
+  // so nothing is overwritten. Returns the names stored and a readable line for every preset that needed corrections.
+  async importLibrary(json: string): Promise<{ imported: string[], problems: string[] }> {
+    const data = JSON.parse(json);
+    const entries: unknown[] = Array.isArray(data) ? data : Array.isArray(data?.presets) ? data.presets : [data];
+
+    const imported: string[] = [];
+    const problems: string[] = [];
+    for (const [index, entry] of entries.entries()) {
+      try {
+        const { preset, issues } = normalizePreset(entry);
+        preset.name = await this.getUniqueName(preset.name);
+        await this.save(preset);
+        imported.push(preset.name);
+        if (issues.length > 0) problems.push(`${preset.name}:\n${formatPresetIssues(issues)}`);
+      } catch (error) {
+        problems.push(`Entry ${index + 1} skipped: ${(error as Error).message}`);
+      }
+    }
+    return { imported, problems };
+  }
+
+  close(): void {
+    this.database?.then(database => database.close()).catch(() => {});
+    this.database = null;
+  }
+
+  private async getUniqueName(base: string): Promise<string> {
+    let name = base;
+    for (let suffix = 2; await this.has(name); suffix++) {
+      name = `${base} (${suffix})`;
+    }
+    return name;
+  }
+
+  private async getStore(mode: IDBTransactionMode): Promise<IDBObjectStore> {
+    const database = await this.open();
+    return database.transaction(storeName, mode).objectStore(storeName);
+  }
+
+  private open(): Promise<IDBDatabase> {
+    this.database ??= new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available in this browser'));
+        return;
+      }
+      const request = indexedDB.open(databaseName, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(storeName, { keyPath: 'name' });
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // A failed open is retried next time rather than cached
+    this.database.catch(() => this.database = null);
+    return this.database;
+  }
+}
@@ -0,0 +1,135 @@
+import { easings } from './presets.js';
+
+// Timed preset cycling for unattended displays. PlaylistPlayer only keeps the schedule; the renderer loads each
+// entry's preset and transitions into it when update() hands the entry over.
+
+export interface PlaylistEntry {
+  preset: string; // Anything loadPreset() takes by name: a preset file name or "library:<name>"
+  hold: number; // Seconds to stay on the preset once the transition into it has finished
+  duration: number; // Seconds the transition into the preset takes
+  easing: string;
+}
+
+export interface Playlist {
+  entries: PlaylistEntry[];
+  shuffle: boolean; // Play the entries in a new random order every round
+  loop: boolean; // Start another round after the last entry instead of staying on it
+}
+
+// What parsePlaylist() accepts: timings may be left out, and an entry may be just the preset name
+export interface PlaylistInput {
+  entries: (string | (Partial<PlaylistEntry> & { preset: string }))[];
+  shuffle?: boolean;
+  loop?: boolean;
+}
+
+export const playlistDefaults = { hold: 10, duration: 2.0, easing: 'ease-in-out' };
+
+// Same range as the transition duration slider
+const minDuration = 0.5;
+const maxDuration = 10;
+
+// Complete a playlist from JSON; bare strings are preset names with the default timing.
+// Malformed entries are skipped and out-of-range timings clamped, with a console warning for each.
+export function parsePlaylist(raw: unknown): Playlist {
+  const data = raw as { entries?: unknown, shuffle?: unknown, loop?: unknown } | null;
+  if (!Array.isArray(data?.entries)) {
+    throw new Error('Playlist must have an "entries" list');
+  }
+
+  const entries: PlaylistEntry[] = [];
+  data.entries.forEach((item: any, index: number) => {
+    const entry = typeof item === 'string' ? { preset: item } : item;
+    if (typeof entry?.preset !== 'string' || !entry.preset) {
+      console.warn(`Skipping playlist entry ${index}: it needs a "preset" name`);
+      return;
+    }
+
+    const hold = typeof entry.hold === 'number' && entry.hold >= 0 ? entry.hold : playlistDefaults.hold;
+    const duration = typeof entry.duration === 'number'
+      ? Math.max(minDuration, Math.min(maxDuration, entry.duration))
+      : playlistDefaults.duration;
+    const easing = easings.includes(entry.easing) ? entry.easing : playlistDefaults.easing;
+    if ((entry.hold !== undefined && hold !== entry.hold) || (entry.duration !== undefined && duration !== entry.duration)
+      || (entry.easing !== undefined && easing !== entry.easing)) {
+      console.warn(`Playlist entry ${index} ("${entry.preset}") had invalid timing; using hold ${hold}s, ${duration}s ${easing}`);
+    }
+    entries.push({ preset: entry.preset, hold, duration, easing });
+  });
+
+  return {
+    entries,
+    shuffle: data.shuffle === true,
+    loop: data.loop !== false
+  };
+}
+
+export class PlaylistPlayer {
+  private playlist: Playlist;
+  private order: number[] = []; // Entry indices for the current round
+  private position: number = -1; // Place in order of the entry showing now
+  private remaining: number = 0; // Seconds until the next entry starts
+  private done: boolean;
+
+  constructor(playlist: Playlist) {
+    // The list is copied so adding, removing or reordering entries doesn't disturb a round in progress. The entries
+    // themselves are shared: timing edits apply the next time an entry plays, and currentEntry matches the edited list.
+    this.playlist = { ...playlist, entries: [...playlist.entries] };
+    this.done = this.playlist.entries.length === 0;
+  }
+
+  // Index of the entry showing now, or null before the first one
+  get currentIndex(): number | null {
+    return this.position >= 0 ? this.order[this.position] : null;
+  }
+
+  // The entry showing now, or null before the first one
+  get currentEntry(): PlaylistEntry | null {
+    const index = this.currentIndex;
+    return index === null ? null : this.playlist.entries[index];
+  }
+
+  // True once a playlist without loop has played its last entry through
+  get finished(): boolean {
+    return this.done;
+  }
+
+  // Advance the schedule by deltaTime seconds; returns the entry to start now, if any. The first call starts the first entry.
+  update(deltaTime: number): { index: number, entry: PlaylistEntry } | null {
+    if (this.done) return null;
+    this.remaining -= deltaTime;
+    if (this.remaining > 0) return null;
+
+    const previous = this.currentIndex;
+    this.position++;
+    if (this.position >= this.order.length) {
+      if (this.order.length > 0 && !this.playlist.loop) {
+        this.done = true;
+        this.position = this.order.length - 1; // The last entry stays on screen
+        return null;
+      }
+      this.order = this.createOrder(previous);
+      this.position = 0;
+    }
+
+    const index = this.order[this.position];
+    const entry = this.playlist.entries[index];
+    this.remaining = entry.duration + entry.hold;
+    return { index, entry };
+  }
+
+  private createOrder(previous: number | null): number[] {
+    const order = this.playlist.entries.map((_, index) => index);
+    if (!this.playlist.shuffle) return order;
+
+    // Fisher-Yates, then keep the new round from opening with the entry that closed the last one
+    for (let i = order.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+    if (order.length > 1 && order[0] === previous) {
+      [order[0], order[1]] = [order[1], order[0]];
+    }
+    return order;
+  }
+}
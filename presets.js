@@ -0,0 +1,277 @@
+import { audioBands, parseTopologyData } from './simulation.js';
+import { soundKeys } from './audio.js';
+// Preset schema: every field's type, range and default, plus migration of older preset versions.
+// Loaders run raw JSON through normalizePreset, so partial presets work and bad values never reach the scene.
+export const presetVersion = 2;
+export class PresetValidationError extends Error {
+    constructor(issues) {
+        super(formatPresetIssues(issues));
+        this.name = 'PresetValidationError';
+        this.issues = issues;
+    }
+}
+const isVector3 = (value) => Array.isArray(value) && value.length === 3 && value.every(component => typeof component === 'number' && Number.isFinite(component));
+const isKeyframe = (value) => typeof value === 'object' && value !== null && isVector3(value.position) && isVector3(value.target);
+export const easings = ['linear', 'ease-in', 'ease-out', 'ease-in-out', 'bounce', 'elastic'];
+// Ranges match the control panel sliders
+export const presetSchema = {
+    name: { type: 'string', default: 'Untitled' },
+    version: { type: 'number', min: 1, max: presetVersion, integer: true, default: presetVersion },
+    description: { type: 'string' },
+    tags: {
+        type: 'object',
+        check: value => Array.isArray(value) && value.every(tag => typeof tag === 'string') ? null : 'must be a list of text tags'
+    },
+    author: { type: 'string' },
+    thumbnail: { type: 'string' }, // Image path relative to the preset folder, or a URL
+    nodeCount: { type: 'number', min: 5, max: 2000, integer: true, default: 12 },
+    nodeSpeed: { type: 'number', min: 0, max: 2, default: 0.5 },
+    activitySpeed: { type: 'number', min: 0.5, max: 5, default: 2.0 },
+    connectionOpacity: { type: 'number', min: 0, max: 1, default: 0.3 },
+    spaceSize: { type: 'number', min: 10, max: 30, default: 15 },
+    mouseInfluenceRadius: { type: 'number', min: 2, max: 15, default: 5.0 },
+    backgroundColor: { type: 'color', default: '#0a0a1a' },
+    nodeColor: { type: 'color', default: '#ff6b6b' },
+    connectionColor: { type: 'color', default: '#4fc3f7' },
+    showAllConnections: { type: 'boolean', default: true },
+    particleCount: { type: 'number', min: 0, max: 20, integer: true, default: 8 },
+    particleSpeed: { type: 'number', min: 0.1, max: 3, default: 1.0 },
+    particleSize: { type: 'number', min: 0.05, max: 0.5, default: 0.2 },
+    particleColor: { type: 'color', default: '#ffff00' },
+    showParticles: { type: 'boolean', default: true },
+    rippleIntensity: { type: 'number', min: 0, max: 2, default: 0.8 },
+    rippleDuration: { type: 'number', min: 0.5, max: 5, default: 2.0 },
+    rippleSize: { type: 'number', min: 0.2, max: 3, default: 1.0 },
+    rippleColor: { type: 'color', default: '#ffffff' },
+    showRipples: { type: 'boolean', default: true },
+    wallRestitution: { type: 'number', min: 0.1, max: 1.0, default: 0.7 },
+    wallFriction: { type: 'number', min: 0.8, max: 1.0, default: 0.95 },
+    topology: {
+        type: 'object',
+        check: value => {
+            if (value === null)
+                return null;
+            // The same parse the simulation runs, so a preset never gets as far as the scene with a topology it can't build
+            try {
+                parseTopologyData(value);
+                return null;
+            }
+            catch (error) {
+                return `is not a usable topology (${error.message})`;
+            }
+        },
+        default: null
+    },
+    layoutMode: { type: 'enum', values: ['scatter', 'layered', 'ring', 'sphere'], default: 'scatter' },
+    layoutStrength: { type: 'number', min: 0.1, max: 3, default: 1.0 },
+    activationModel: { type: 'enum', values: ['wave', 'spiking'], default: 'wave' },
+    spikeThreshold: { type: 'number', min: 0.2, max: 3, default: 1.0 },
+    spikeLeak: { type: 'number', min: 0, max: 3, default: 0.5 },
+    refractoryPeriod: { type: 'number', min: 0, max: 2, default: 0.3 },
+    nodeCollisions: { type: 'boolean', default: true },
+    collisionRipples: { type: 'boolean', default: true },
+    interactionStrength: { type: 'number', min: -1, max: 1, default: 0.0 },
+    interactionRadius: { type: 'number', min: 1, max: 10, default: 4.0 },
+    gravity: { type: 'number', min: 0, max: 2, default: 0.0 },
+    gravityMode: { type: 'enum', values: ['down', 'center', 'mouse'], default: 'down' },
+    airResistance: { type: 'number', min: 0, max: 2, default: 0.0 },
+    connectionMode: { type: 'enum', values: ['all', 'nearest', 'distance'], default: 'all' },
+    connectionNeighbors: { type: 'number', min: 1, max: 20, integer: true, default: 4 },
+    connectionDistance: { type: 'number', min: 1, max: 20, default: 6.0 },
+    lodDistance: { type: 'number', min: 10, max: 100, default: 60 },
+    particleBudget: { type: 'number', min: 100, max: 10000, integer: true, default: 2000 },
+    cameraBookmarks: {
+        type: 'object',
+        check: value => Array.isArray(value) && value.every(bookmark => isKeyframe(bookmark) && typeof bookmark.name === 'string')
+            ? null
+            : 'must be a list of bookmarks with a name, position [x, y, z] and target [x, y, z]',
+        default: []
+    },
+    cinematicMode: { type: 'enum', values: ['off', 'path', 'follow', 'orbit'], default: 'off' },
+    cameraPath: {
+        type: 'object',
+        check: (value) => value === null || (typeof value === 'object' && Array.isArray(value.keyframes) && value.keyframes.every(isKeyframe)
+            && easings.includes(value.easing) && typeof value.loop === 'boolean')
+            ? null
+            : `must be null or a path with keyframes, an easing (${easings.join(', ')}) and loop`,
+        default: null
+    },
+    cameraPathDuration: { type: 'number', min: 5, max: 120, default: 30 },
+    autoOrbitSpeed: { type: 'number', min: 0, max: 30, default: 6 },
+    audioActivity: { type: 'enum', values: ['off', 'groups', ...audioBands], default: 'off' },
+    audioParticles: { type: 'enum', values: ['off', ...audioBands], default: 'off' },
+    audioRipples: { type: 'enum', values: ['off', ...audioBands], default: 'off' },
+    audioGain: { type: 'number', min: 0.1, max: 5, default: 1.0 },
+    soundMuted: { type: 'boolean', default: true },
+    soundVolume: { type: 'number', min: 0, max: 1, default: 0.5 },
+    soundScale: { type: 'enum', values: ['major', 'minor', 'pentatonic', 'minorPentatonic', 'chromatic'], default: 'pentatonic' },
+    soundKey: { type: 'enum', values: soundKeys, default: 'C' },
+    controlMappings: {
+        type: 'object',
+        check: (value) => Array.isArray(value) && value.every(mapping => typeof mapping?.source === 'string' && typeof mapping?.target === 'string')
+            ? null
+            : 'must be a list of {source, target} mappings'
+    },
+    seed: { type: 'number', min: 0, max: 4294967295, integer: true, default: 1 }
+};
+// Each step upgrades a preset from the version it is keyed by to the next one
+const migrations = {
+    // Version 1 predates spaceSize sizing the box; the value was ignored then, so keep the box that preset was designed in
+    1: preset => {
+        preset.spaceSize = 15;
+    }
+};
+function detectVersion(preset) {
+    if (typeof preset.version === 'number')
+        return preset.version;
+    // Unversioned files with gravity were saved after spaceSize started to matter
+    return 'gravity' in preset ? 2 : 1;
+}
+// Check the fields that are present; bad values are clamped or dropped and reported, unknown fields are reported and ignored
+export function validatePresetFields(raw) {
+    if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) {
+        throw new PresetValidationError([{ field: '(preset)', message: 'must be a JSON object' }]);
+    }
+    const values = {};
+    const issues = [];
+    for (const [field, value] of Object.entries(raw)) {
+        const spec = presetSchema[field];
+        if (!spec) {
+            issues.push({ field, message: 'is not a preset field and was ignored' });
+            continue;
+        }
+        if (value === undefined)
+            continue;
+        const problem = checkField(spec, value);
+        if (problem === null) {
+            values[field] = value;
+        }
+        else if (problem.replacement !== undefined) {
+            values[field] = problem.replacement;
+            issues.push({ field, message: problem.message });
+        }
+        else {
+            issues.push({ field, message: `${problem.message}; ${describeFallback(spec)}` });
+        }
+    }
+    return { values: values, issues };
+}
+// Migrate, validate and fill in defaults so any stored or partial preset becomes a complete one
+export function normalizePreset(raw) {
+    if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) {
+        throw new PresetValidationError([{ field: '(preset)', message: 'must be a JSON object' }]);
+    }
+    const migrated = { ...raw };
+    const issues = [];
+    let version = detectVersion(migrated);
+    if (version > presetVersion) {
+        issues.push({ field: 'version', message: `${version} is newer than this app (${presetVersion}); unknown fields were ignored` });
+    }
+    while (version < presetVersion) {
+        migrations[version]?.(migrated);
+        version++;
+    }
+    migrated.version = presetVersion;
+    const checked = validatePresetFields(migrated);
+    issues.push(...checked.issues);
+    const preset = {};
+    for (const [field, spec] of Object.entries(presetSchema)) {
+        const value = checked.values[field];
+        if (value !== undefined) {
+            preset[field] = value;
+        }
+        else if (spec.default !== undefined) {
+            // Arrays are copied so presets never share one default list
+            preset[field] = Array.isArray(spec.default) ? [...spec.default] : spec.default;
+        }
+    }
+    return { preset: preset, issues };
+}
+// Keep the well-formed entries of a manifest, reporting the rest
+export function parsePresetManifest(raw) {
+    const entries = raw?.presets;
+    if (!Array.isArray(entries)) {
+        throw new Error('Preset manifest must have a "presets" list');
+    }
+    return entries.filter((entry, index) => {
+        const valid = typeof entry?.file === 'string' && typeof entry?.name === 'string';
+        if (!valid)
+            console.warn(`Skipping preset manifest entry ${index}: it needs a "name" and a "file"`);
+        return valid;
+    });
+}
+export function formatPresetIssues(issues) {
+    return issues.map(issue => `- ${issue.field}: ${issue.message}`).join('\n');
+}
+// Compact text form of a preset for shareable links: fields at their default are left out (normalizePreset puts them back),
+// then the JSON is deflated and base64url-encoded. The name and version are always kept so migration still applies.
+export async function encodePresetHash(preset) {
+    const changed = {};
+    for (const [field, value] of Object.entries(preset)) {
+        const spec = presetSchema[field];
+        const isDefault = spec?.default !== undefined && JSON.stringify(value) === JSON.stringify(spec.default);
+        if (field === 'name' || field === 'version' || !isDefault) {
+            changed[field] = value;
+        }
+    }
+    const bytes = await transformBytes(new TextEncoder().encode(JSON.stringify(changed)), new CompressionStream('deflate-raw'));
+    let binary = '';
+    for (const byte of bytes) {
+        binary += String.fromCharCode(byte);
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+// Raw preset JSON back from encodePresetHash output, to be run through normalizePreset; throws on anything else
+export async function decodePresetHash(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = Uint8Array.from(binary, character => character.charCodeAt(0));
+    return JSON.parse(new TextDecoder().decode(await transformBytes(bytes, new DecompressionStream('deflate-raw'))));
+}
+// null when the value is fine; otherwise what is wrong and, for numbers, the clamped replacement
+function checkField(spec, value) {
+    switch (spec.type) {
+        case 'number': {
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                return { message: `${JSON.stringify(value)} is not a number` };
+            }
+            const rounded = spec.integer ? Math.round(value) : value;
+            if (rounded < spec.min)
+                return { message: `${value} is below the minimum ${spec.min}, using ${spec.min}`, replacement: spec.min };
+            if (rounded > spec.max)
+                return { message: `${value} is above the maximum ${spec.max}, using ${spec.max}`, replacement: spec.max };
+            if (rounded !== value)
+                return { message: `${value} is not a whole number, using ${rounded}`, replacement: rounded };
+            return null;
+        }
+        case 'boolean':
+            return typeof value === 'boolean' ? null : { message: `${JSON.stringify(value)} is not true or false` };
+        case 'string':
+            return typeof value === 'string' ? null : { message: `${JSON.stringify(value)} is not text` };
+        case 'color':
+            return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value) ? null : { message: `${JSON.stringify(value)} is not a #rrggbb color` };
+        case 'enum':
+            return typeof value === 'string' && spec.values.includes(value)
+                ? null
+                : { message: `${JSON.stringify(value)} is not one of ${spec.values.join(', ')}` };
+        case 'object': {
+            const problem = spec.check(value);
+            if (problem === null)
+                return null;
+            // Replaced rather than dropped, so setParams() also falls back (e.g. to no topology) instead of keeping a stale value
+            if (spec.default === undefined)
+                return { message: problem };
+            const replacement = Array.isArray(spec.default) ? [...spec.default] : spec.default;
+            return { message: `${problem}; ${describeFallback(spec)}`, replacement };
+        }
+    }
+}
+function describeFallback(spec) {
+    if (spec.default === undefined)
+        return 'ignoring it';
+    return `using the default ${JSON.stringify(spec.default)}`;
+}
+async function transformBytes(bytes, transform) {
+    const stream = new Blob([bytes]).stream().pipeThrough(transform);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+//# sourceMappingURL=presets.js.map
\ No newline at end of file
@@ -0,0 +1,39 @@
+// Regenerates presets/index.json from the preset files in the folder.
+// Usage: npm run presets [-- <preset folder>]
+
+import { readdir, readFile, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+
+const presetDir = process.argv[2] ?? fileURLToPath(new URL('../presets/', import.meta.url));
+const metadataFields = ['description', 'tags', 'author', 'thumbnail'];
+
+const files = (await readdir(presetDir))
+  .filter(file => file.endsWith('.json') && file !== 'index.json')
+  .sort((a, b) => {
+    // Default first, the rest alphabetically
+    if (a === 'Default.json') return -1;
+    if (b === 'Default.json') return 1;
+    return a.localeCompare(b);
+  });
+
+const presets = [];
+for (const file of files) {
+  let preset;
+  try {
+    preset = JSON.parse(await readFile(join(presetDir, file), 'utf8'));
+  } catch (error) {
+    console.warn(`Skipping ${file}: ${error.message}`);
+    continue;
+  }
+
+  // The dropdown lists presets by file name, which is also what loadPreset() resolves
+  const entry = { name: file.slice(0, -'.json'.length), file };
+  for (const field of metadataFields) {
+    if (preset[field] !== undefined) entry[field] = preset[field];
+  }
+  presets.push(entry);
+}
+
+await writeFile(join(presetDir, 'index.json'), JSON.stringify({ presets }, null, 2) + '\n');
+console.log(`Wrote ${presets.length} presets to ${join(presetDir, 'index.json')}`);
@@ -0,0 +1,1681 @@
+import * as THREE from 'three';
+
+// Headless simulation core: nodes, connections, particles and ripples with no WebGL or DOM.
+// Renderers read the public state after each step; Node.js can drive it directly for tests.
+
+export type LayoutMode = 'scatter' | 'layered' | 'ring' | 'sphere';
+
+export type ActivationModel = 'wave' | 'spiking';
+
+export type GravityMode = 'down' | 'center' | 'mouse';
+
+export type ConnectionMode = 'all' | 'nearest' | 'distance';
+
+// Frequency bands in the order audio levels are supplied, lowest first
+export const audioBands = ['bass', 'lowMid', 'highMid', 'treble'] as const;
+
+// Topologies bring their own node set, so they are held to the node count slider's limit, plus an edge budget
+export const maxTopologyNodes = 2000;
+
+// Every physics update covers exactly this much time; step() slices whatever it is given into these
+export const simulationTimeStep = 1 / 60;
+export const maxTopologyEdges = 50000;
+
+export type AudioBand = typeof audioBands[number];
+
+// 'groups' splits the nodes into one group per band; a single band drives every node
+export type AudioActivityMapping = 'off' | 'groups' | AudioBand;
+
+export type AudioMapping = 'off' | AudioBand;
+
+export interface NodeData {
+  id: string;
+  layer: number;
+  position: THREE.Vector3;
+  previousPosition: THREE.Vector3; // Position at the previous fixed step, for render interpolation
+  renderPosition: THREE.Vector3; // Interpolated position drawn this frame, written by the renderer
+  rotation: THREE.Euler;
+  scale: number; // Activity-driven size
+  spawnScale: number; // Grow/shrink factor while the node is being added or removed
+  color: THREE.Color; // Current display color
+  velocity: THREE.Vector3;
+  targetPosition: THREE.Vector3;
+  connections: ConnectionData[]; // Outgoing connections
+  activity: number;
+  baseColor: THREE.Color;
+  mass: number;
+  restitution: number; // Bounciness factor (0 = no bounce, 1 = perfect bounce)
+  friction: number; // Surface friction
+  angularVelocity: THREE.Vector3;
+  lastCollisionTime: number;
+  potential: number; // Membrane potential for the spiking model
+  refractoryTimer: number; // Seconds until the node can fire again
+  spikeCount: number;
+}
+
+export interface ConnectionData {
+  startNode: NodeData;
+  endNode: NodeData;
+  weight: number; // Normalized edge weight (-1 to 1, negative = inhibitory)
+  directed: boolean; // Undirected connections fire particles both ways
+}
+
+export interface TopologyNode {
+  id: string;
+  layer?: number;
+  label?: string;
+}
+
+export interface TopologyEdge {
+  source: string;
+  target: string;
+  weight?: number;
+}
+
+export interface TopologyData {
+  name?: string;
+  nodes: TopologyNode[];
+  edges: TopologyEdge[];
+}
+
+export interface ParticleData {
+  startNode: NodeData;
+  endNode: NodeData;
+  progress: number;
+  previousProgress: number;
+  speed: number;
+  lifespan: number;
+  age: number;
+  opacity: number;
+  charge: number; // Potential deposited on endNode when the particle arrives
+}
+
+export interface RippleData {
+  position: THREE.Vector3;
+  normal: THREE.Vector3;
+  age: number;
+  maxAge: number;
+  maxRadius: number;
+  radius: number; // Current radius, grows to maxRadius over maxAge
+  opacity: number;
+  wallType: string;
+}
+
+// The preset fields the simulation owns; colors, sizes and camera settings belong to the renderer
+export interface SimulationParams {
+  nodeCount: number;
+  nodeSpeed: number;
+  activitySpeed: number;
+  spaceSize: number;
+  mouseInfluenceRadius: number;
+  nodeColor: string;
+  particleCount: number;
+  particleSpeed: number;
+  showParticles: boolean;
+  rippleIntensity: number;
+  rippleDuration: number;
+  rippleSize: number;
+  showRipples: boolean;
+  wallRestitution: number;
+  wallFriction: number;
+  topology: TopologyData | null;
+  layoutMode: LayoutMode;
+  layoutStrength: number;
+  activationModel: ActivationModel;
+  spikeThreshold: number;
+  spikeLeak: number;
+  refractoryPeriod: number;
+  nodeCollisions: boolean;
+  collisionRipples: boolean;
+  interactionStrength: number;
+  interactionRadius: number;
+  gravity: number;
+  gravityMode: GravityMode;
+  airResistance: number;
+  connectionMode: ConnectionMode;
+  connectionNeighbors: number;
+  connectionDistance: number;
+  particleBudget: number;
+  audioActivity: AudioActivityMapping;
+  audioParticles: AudioMapping;
+  audioRipples: AudioMapping;
+  audioGain: number;
+  seed: number;
+}
+
+interface ScaleAnimation {
+  node: NodeData;
+  elapsed: number;
+  duration: number;
+  from: number;
+  to: number;
+  easing: 'in' | 'out';
+  onComplete?: () => void;
+}
+
+// Payloads for the events the simulation fires while stepping
+export interface SimulationEvents {
+  wallCollision: { node: NodeData, wall: string, impactSpeed: number };
+  spike: { node: NodeData };
+  particleSpawn: { particle: ParticleData };
+  particleArrive: { particle: ParticleData };
+  nodeAdded: { node: NodeData };
+  nodeRemoved: { node: NodeData };
+  reset: { nodes: NodeData[] }; // Every node was rebuilt at once
+}
+
+type Listener<T> = (event: T) => void;
+
+export class EventEmitter<Events> {
+  private listeners: { [K in keyof Events]?: Listener<Events[K]>[] } = {};
+
+  // Returns a function that removes the listener again
+  on<K extends keyof Events>(type: K, listener: Listener<Events[K]>): () => void {
+    (this.listeners[type] ??= []).push(listener);
+    return () => this.off(type, listener);
+  }
+
+  off<K extends keyof Events>(type: K, listener: Listener<Events[K]>): void {
+    const listeners = this.listeners[type];
+    const index = listeners ? listeners.indexOf(listener) : -1;
+    if (index !== -1) {
+      listeners!.splice(index, 1);
+    }
+  }
+
+  emit<K extends keyof Events>(type: K, event: Events[K]): void {
+    // Copy so listeners can unsubscribe while being called
+    this.listeners[type]?.slice().forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error(`Error in ${String(type)} listener:`, error);
+      }
+    });
+  }
+
+  clear(): void {
+    this.listeners = {};
+  }
+}
+
+export function createSeededRandom(seed: number): () => number {
+  // Mulberry32: small, fast and good enough for visuals
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Check a topology in either format and expand it to explicit nodes and edges; throws a readable error when it is unusable
+export function parseTopologyData(data: any): TopologyData {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Topology must be a JSON object');
+  }
+  
+  // ONNX-style layer specs: { layers: [{ name, units }, ...] } expand to dense feed-forward layers
+  if (Array.isArray(data.layers)) {
+    const nodes: TopologyNode[] = [];
+    const edges: TopologyEdge[] = [];
+    let previousLayer: string[] = [];
+    const layerNames = new Set<string>();
+    
+    data.layers.forEach((layer: any, layerIndex: number) => {
+      const units = typeof layer === 'number' ? layer : (layer?.units ?? layer?.size);
+      if (!Number.isInteger(units) || units < 1) {
+        throw new Error(`Layer ${layerIndex} must have a positive integer "units" value`);
+      }
+      
+      const layerName = layer?.name ?? `layer${layerIndex}`;
+      // Node ids are built from the layer name
+      if (layerNames.has(layerName)) {
+        throw new Error(`Layer ${layerIndex} repeats the name "${layerName}"`);
+      }
+      layerNames.add(layerName);
+      if (nodes.length + units > maxTopologyNodes) {
+        throw new Error(`Topology has more than ${maxTopologyNodes} nodes`);
+      }
+      if (edges.length + units * previousLayer.length > maxTopologyEdges) {
+        throw new Error(`Topology has more than ${maxTopologyEdges} edges`);
+      }
+      const currentLayer: string[] = [];
+      
+      for (let i = 0; i < units; i++) {
+        const id = `${layerName}/${i}`;
+        nodes.push({ id, layer: layerIndex, label: layerName });
+        currentLayer.push(id);
+        previousLayer.forEach(source => edges.push({ source, target: id }));
+      }
+      
+      previousLayer = currentLayer;
+    });
+    
+    return { name: data.name, nodes, edges };
+  }
+  
+  // Graph format: { nodes: [{ id, layer }], edges: [{ source, target, weight }] }
+  if (!Array.isArray(data.nodes) || !Array.isArray(data.edges)) {
+    throw new Error('Topology needs either a "layers" array or "nodes" and "edges" arrays');
+  }
+  
+  if (data.nodes.length > maxTopologyNodes) {
+    throw new Error(`Topology has ${data.nodes.length} nodes; the limit is ${maxTopologyNodes}`);
+  }
+  if (data.edges.length > maxTopologyEdges) {
+    throw new Error(`Topology has ${data.edges.length} edges; the limit is ${maxTopologyEdges}`);
+  }
+  
+  const nodeIds = new Set<string>();
+  const nodes: TopologyNode[] = data.nodes.map((node: any, index: number) => {
+    if (node?.id === undefined || node?.id === null) {
+      throw new Error(`Node ${index} is missing an "id"`);
+    }
+    // Edges refer to nodes by id, so ids must be unique
+    if (nodeIds.has(String(node.id))) {
+      throw new Error(`Node ${index} repeats the id "${node.id}"`);
+    }
+    nodeIds.add(String(node.id));
+    return {
+      id: String(node.id),
+      layer: typeof node.layer === 'number' ? node.layer : undefined,
+      label: node.label
+    };
+  });
+  
+  const edges: TopologyEdge[] = data.edges.map((edge: any, index: number) => {
+    const source = String(edge?.source);
+    const target = String(edge?.target);
+    if (!nodeIds.has(source) || !nodeIds.has(target)) {
+      throw new Error(`Edge ${index} references an unknown node (${source} -> ${target})`);
+    }
+    if (edge.weight !== undefined && typeof edge.weight !== 'number') {
+      throw new Error(`Edge ${index} has a non-numeric weight`);
+    }
+    return { source, target, weight: edge.weight };
+  });
+  
+  return { name: data.name, nodes, edges };
+}
+
+export class NeuralSimulation {
+  // Simulation parameters
+  nodeCount: number = 12;
+  nodeSpeed: number = 0.5;
+  activitySpeed: number = 2.0;
+  spaceSize: number = 15;
+  mouseInfluenceRadius: number = 5.0;
+  nodeColor: string = '#ff6b6b';
+  particleCount: number = 8;
+  particleSpeed: number = 1.0;
+  showParticles: boolean = true;
+  rippleIntensity: number = 0.8;
+  rippleDuration: number = 2.0;
+  rippleSize: number = 1.0;
+  showRipples: boolean = true;
+  gravity: number = 0.0;
+  gravityMode: GravityMode = 'down';
+  airResistance: number = 0.0; // Fraction of velocity lost per second
+  wallRestitution: number = 0.7;
+  wallFriction: number = 0.95;
+  topology: TopologyData | null = null;
+  layoutMode: LayoutMode = 'scatter';
+  layoutStrength: number = 1.0;
+  activationModel: ActivationModel = 'wave';
+  spikeThreshold: number = 1.0;
+  spikeLeak: number = 0.5;
+  refractoryPeriod: number = 0.3;
+  nodeCollisions: boolean = true;
+  collisionRipples: boolean = true;
+  interactionStrength: number = 0.0; // Positive repels, negative attracts
+  interactionRadius: number = 4.0;
+  connectionMode: ConnectionMode = 'all';
+  connectionNeighbors: number = 4;
+  connectionDistance: number = 6.0;
+  particleBudget: number = 2000; // Hard cap on live particles
+  audioActivity: AudioActivityMapping = 'off';
+  audioParticles: AudioMapping = 'off';
+  audioRipples: AudioMapping = 'off';
+  audioGain: number = 1.0;
+  seed: number = 1;
+
+  // The box is sized to fill a perspective view with this aspect and vertical field of view
+  viewAspect: number;
+  fov: number;
+
+  readonly events: EventEmitter<SimulationEvents>;
+
+  // World-space pointer ray for hover glow and mouse gravity, null when there is no pointer
+  pointerRay: THREE.Ray | null = null;
+
+  // Latest level per audio band (0-1, same order as audioBands), null when no audio source is running
+  audioLevels: number[] | null = null;
+
+  // State
+  nodes: NodeData[] = [];
+  removingNodes: NodeData[] = []; // Still shrinking away, renderers keep drawing them
+  connections: ConnectionData[] = [];
+  particles: ParticleData[] = [];
+  ripples: RippleData[] = [];
+  time: number = 0; // Seconds of simulated time since the last reset
+
+  private scaleAnimations: ScaleAnimation[] = [];
+  private lastConnectionRebuild: number = 0;
+  private fullMeshFallback: boolean = false;
+  private readonly maxFullMeshNodes: number = 200;
+  private readonly connectionRefreshInterval: number = 0.5; // Seconds between pruned-graph rebuilds as nodes drift
+  private random: () => number = createSeededRandom(this.seed); // Every simulation dice roll goes through this
+  private stepRemainder: number = 0; // Time handed to step() that didn't fill a whole substep yet
+  private nextNodeId: number = 0; // Ids are never reused while nodes come and go; reset() starts again from n0
+
+  constructor(options: { viewAspect?: number, fov?: number, events?: EventEmitter<SimulationEvents> } = {}) {
+    this.viewAspect = options.viewAspect ?? 16 / 9;
+    this.fov = options.fov ?? 75;
+    this.events = options.events ?? new EventEmitter<SimulationEvents>();
+    this.createNodes();
+  }
+
+  // Advance by deltaTime seconds in fixed substeps of simulationTimeStep, carrying leftover time into the next call.
+  // Movement, springs, damping and spin are tuned per substep, so the same total time gives the same scene however it is sliced.
+  step(deltaTime: number): void {
+    this.stepRemainder += deltaTime;
+    // The tolerance keeps float error from dropping a substep when callers pass exactly simulationTimeStep
+    while (this.stepRemainder >= simulationTimeStep - 1e-9) {
+      this.stepRemainder -= simulationTimeStep;
+      this.fixedStep(simulationTimeStep);
+    }
+  }
+
+  private fixedStep(deltaTime: number): void {
+    // Pruned graphs depend on node positions, so refresh them as the nodes drift
+    if (!this.topology && this.getEffectiveConnectionMode() !== 'all' && this.time - this.lastConnectionRebuild >= this.connectionRefreshInterval) {
+      this.updateConnections();
+    }
+
+    this.updateNodes(deltaTime);
+    this.updateScaleAnimations(deltaTime);
+    this.updateParticles(deltaTime);
+    this.updateRipples(deltaTime);
+    this.time += deltaTime;
+  }
+
+  reset(): void {
+    // Clear existing nodes
+    this.nodes = [];
+    this.removingNodes = [];
+    this.scaleAnimations = [];
+
+    // Restart the random sequence and clock so the same seed always builds the same scene
+    this.random = createSeededRandom(this.seed);
+    this.time = 0;
+    this.stepRemainder = 0;
+    this.nextNodeId = 0;
+
+    // Create new nodes
+    this.createNodes();
+    this.events.emit('reset', { nodes: this.nodes });
+  }
+
+  setSeed(seed: number): void {
+    this.seed = seed >>> 0;
+    this.clearParticles();
+    this.reset();
+  }
+
+  getParams(): SimulationParams {
+    return {
+      nodeCount: this.nodeCount,
+      nodeSpeed: this.nodeSpeed,
+      activitySpeed: this.activitySpeed,
+      spaceSize: this.spaceSize,
+      mouseInfluenceRadius: this.mouseInfluenceRadius,
+      nodeColor: this.nodeColor,
+      particleCount: this.particleCount,
+      particleSpeed: this.particleSpeed,
+      showParticles: this.showParticles,
+      rippleIntensity: this.rippleIntensity,
+      rippleDuration: this.rippleDuration,
+      rippleSize: this.rippleSize,
+      showRipples: this.showRipples,
+      wallRestitution: this.wallRestitution,
+      wallFriction: this.wallFriction,
+      topology: this.topology,
+      layoutMode: this.layoutMode,
+      layoutStrength: this.layoutStrength,
+      activationModel: this.activationModel,
+      spikeThreshold: this.spikeThreshold,
+      spikeLeak: this.spikeLeak,
+      refractoryPeriod: this.refractoryPeriod,
+      nodeCollisions: this.nodeCollisions,
+      collisionRipples: this.collisionRipples,
+      interactionStrength: this.interactionStrength,
+      interactionRadius: this.interactionRadius,
+      gravity: this.gravity,
+      gravityMode: this.gravityMode,
+      airResistance: this.airResistance,
+      connectionMode: this.connectionMode,
+      connectionNeighbors: this.connectionNeighbors,
+      connectionDistance: this.connectionDistance,
+      particleBudget: this.particleBudget,
+      audioActivity: this.audioActivity,
+      audioParticles: this.audioParticles,
+      audioRipples: this.audioRipples,
+      audioGain: this.audioGain,
+      seed: this.seed
+    };
+  }
+
+  applyPreset(preset: SimulationParams): void {
+    this.nodeCount = preset.nodeCount;
+    this.nodeSpeed = preset.nodeSpeed;
+    this.activitySpeed = preset.activitySpeed;
+    this.spaceSize = preset.spaceSize;
+    this.mouseInfluenceRadius = preset.mouseInfluenceRadius;
+    this.nodeColor = preset.nodeColor;
+    this.particleCount = preset.particleCount;
+    this.particleSpeed = preset.particleSpeed;
+    this.showParticles = preset.showParticles;
+    this.rippleIntensity = preset.rippleIntensity;
+    this.rippleDuration = preset.rippleDuration;
+    this.rippleSize = preset.rippleSize;
+    this.showRipples = preset.showRipples;
+    this.wallRestitution = preset.wallRestitution;
+    this.wallFriction = preset.wallFriction;
+    this.topology = preset.topology ? this.parseTopology(preset.topology) : null;
+    this.layoutMode = preset.layoutMode ?? 'scatter';
+    this.layoutStrength = preset.layoutStrength ?? 1.0;
+    this.activationModel = preset.activationModel ?? 'wave';
+    this.spikeThreshold = preset.spikeThreshold ?? 1.0;
+    this.spikeLeak = preset.spikeLeak ?? 0.5;
+    this.refractoryPeriod = preset.refractoryPeriod ?? 0.3;
+    this.nodeCollisions = preset.nodeCollisions ?? true;
+    this.collisionRipples = preset.collisionRipples ?? true;
+    this.interactionStrength = preset.interactionStrength ?? 0.0;
+    this.interactionRadius = preset.interactionRadius ?? 4.0;
+    this.gravity = preset.gravity ?? 0.0;
+    this.gravityMode = preset.gravityMode ?? 'down';
+    this.airResistance = preset.airResistance ?? 0.0;
+    this.connectionMode = preset.connectionMode ?? 'all';
+    this.connectionNeighbors = preset.connectionNeighbors ?? 4;
+    this.connectionDistance = preset.connectionDistance ?? 6.0;
+    this.particleBudget = preset.particleBudget ?? 2000;
+    this.audioActivity = preset.audioActivity ?? 'off';
+    this.audioParticles = preset.audioParticles ?? 'off';
+    this.audioRipples = preset.audioRipples ?? 'off';
+    this.audioGain = preset.audioGain ?? 1.0;
+    this.seed = preset.seed ?? 1;
+
+    this.clearParticles();
+    this.clearRipples();
+    this.reset();
+  }
+
+  // Change some parameters in place; only a new topology, seed or node count rebuilds the nodes
+  setParams(params: Partial<SimulationParams>): void {
+    const previous = this.getParams();
+    
+    this.nodeCount = params.nodeCount ?? this.nodeCount;
+    this.nodeSpeed = params.nodeSpeed ?? this.nodeSpeed;
+    this.activitySpeed = params.activitySpeed ?? this.activitySpeed;
+    this.spaceSize = params.spaceSize ?? this.spaceSize;
+    this.mouseInfluenceRadius = params.mouseInfluenceRadius ?? this.mouseInfluenceRadius;
+    this.nodeColor = params.nodeColor ?? this.nodeColor;
+    this.particleCount = params.particleCount ?? this.particleCount;
+    this.particleSpeed = params.particleSpeed ?? this.particleSpeed;
+    this.showParticles = params.showParticles ?? this.showParticles;
+    this.rippleIntensity = params.rippleIntensity ?? this.rippleIntensity;
+    this.rippleDuration = params.rippleDuration ?? this.rippleDuration;
+    this.rippleSize = params.rippleSize ?? this.rippleSize;
+    this.showRipples = params.showRipples ?? this.showRipples;
+    this.wallRestitution = params.wallRestitution ?? this.wallRestitution;
+    this.wallFriction = params.wallFriction ?? this.wallFriction;
+    if (params.topology !== undefined) {
+      this.topology = params.topology ? this.parseTopology(params.topology) : null;
+    }
+    this.layoutStrength = params.layoutStrength ?? this.layoutStrength;
+    this.activationModel = params.activationModel ?? this.activationModel;
+    this.spikeThreshold = params.spikeThreshold ?? this.spikeThreshold;
+    this.spikeLeak = params.spikeLeak ?? this.spikeLeak;
+    this.refractoryPeriod = params.refractoryPeriod ?? this.refractoryPeriod;
+    this.nodeCollisions = params.nodeCollisions ?? this.nodeCollisions;
+    this.collisionRipples = params.collisionRipples ?? this.collisionRipples;
+    this.interactionStrength = params.interactionStrength ?? this.interactionStrength;
+    this.interactionRadius = params.interactionRadius ?? this.interactionRadius;
+    this.gravity = params.gravity ?? this.gravity;
+    this.gravityMode = params.gravityMode ?? this.gravityMode;
+    this.airResistance = params.airResistance ?? this.airResistance;
+    this.connectionMode = params.connectionMode ?? this.connectionMode;
+    this.connectionNeighbors = params.connectionNeighbors ?? this.connectionNeighbors;
+    this.connectionDistance = params.connectionDistance ?? this.connectionDistance;
+    this.particleBudget = params.particleBudget ?? this.particleBudget;
+    this.audioActivity = params.audioActivity ?? this.audioActivity;
+    this.audioParticles = params.audioParticles ?? this.audioParticles;
+    this.audioRipples = params.audioRipples ?? this.audioRipples;
+    this.audioGain = params.audioGain ?? this.audioGain;
+    this.seed = (params.seed ?? this.seed) >>> 0;
+    
+    if (!this.showParticles) this.clearParticles();
+    if (!this.showRipples) this.clearRipples();
+    this.trimParticlesToBudget();
+    
+    if (this.topology !== previous.topology || this.seed !== previous.seed || this.nodeCount !== previous.nodeCount) {
+      this.layoutMode = params.layoutMode ?? this.layoutMode;
+      this.clearParticles();
+      this.reset();
+      return;
+    }
+    
+    if (params.layoutMode && params.layoutMode !== this.layoutMode) {
+      this.setLayoutMode(params.layoutMode);
+    } else if (this.spaceSize !== previous.spaceSize) {
+      this.updateLayoutTargets();
+    }
+    if (this.connectionMode !== previous.connectionMode || this.connectionNeighbors !== previous.connectionNeighbors || this.connectionDistance !== previous.connectionDistance) {
+      this.updateConnections();
+    }
+    if (this.nodeColor !== previous.nodeColor) {
+      this.updateNodeColors();
+    }
+  }
+
+  clearParticles(): void {
+    this.particles = [];
+  }
+
+  clearRipples(): void {
+    this.ripples = [];
+  }
+
+  updateNodeColors(): void {
+    const newColor = new THREE.Color(this.nodeColor);
+    this.nodes.forEach(node => {
+      node.baseColor = newColor.clone();
+      node.color.copy(newColor);
+    });
+  }
+
+  // Gain-scaled level of one band, or null when the mapping is off or no audio is playing
+  private getAudioLevel(band: AudioBand | 'off'): number | null {
+    if (band === 'off' || !this.audioLevels) return null;
+    const level = this.audioLevels[audioBands.indexOf(band)] ?? 0;
+    return Math.min(1, level * this.audioGain);
+  }
+
+  private createRipple(position: THREE.Vector3, normal: THREE.Vector3, wallType: string): RippleData {
+    // Loud passages in the mapped band make bigger rings
+    const audioLevel = this.getAudioLevel(this.audioRipples);
+    const audioScale = audioLevel === null ? 1 : 0.2 + audioLevel * 1.6;
+    
+    return {
+      position: position.clone(),
+      normal: normal.clone(),
+      age: 0,
+      maxAge: this.rippleDuration,
+      maxRadius: 4.0 * this.rippleIntensity * this.rippleSize * audioScale,
+      radius: 0,
+      opacity: 0.6,
+      wallType
+    };
+  }
+
+  private updateRipples(deltaTime: number): void {
+    for (let i = this.ripples.length - 1; i >= 0; i--) {
+      const ripple = this.ripples[i];
+      ripple.age += deltaTime;
+
+      // Remove ripples that have exceeded their lifespan
+      if (ripple.age >= ripple.maxAge) {
+        this.ripples.splice(i, 1);
+        continue;
+      }
+
+      // Expand the ripple and fade it out with a cubic curve for a softer transition
+      const progress = ripple.age / ripple.maxAge;
+      ripple.radius = ripple.maxRadius * progress;
+      ripple.opacity = 0.6 * (1 - progress * progress * progress);
+    }
+  }
+
+  private createNodes(): void {
+    // Fill the whole box, which covers the full screen at the default space size
+    const { width, height, depth } = this.getBoxDimensions();
+    
+    // A loaded topology dictates the node count
+    if (this.topology) {
+      this.nodeCount = this.topology.nodes.length;
+    }
+    
+    // Use full screen dimensions (no reduction factor)
+    const positions = this.generatePoissonDiskSampling(this.nodeCount, width, height, depth);
+    const topologyDepths = this.topology ? this.computeTopologyDepths(this.topology) : null;
+    
+    for (let i = 0; i < this.nodeCount; i++) {
+      const baseColor = new THREE.Color(this.nodeColor);
+      
+      // Use pre-calculated position or fallback to random
+      const position = positions[i] || new THREE.Vector3(
+        (this.random() - 0.5) * width,
+        (this.random() - 0.5) * height,
+        (this.random() - 0.5) * depth
+      );
+      
+      const topologyNode = this.topology?.nodes[i];
+      
+      const nodeData: NodeData = {
+        id: topologyNode ? topologyNode.id : `n${this.nextNodeId++}`,
+        layer: topologyNode ? (topologyNode.layer ?? topologyDepths?.get(topologyNode.id) ?? 0) : 0,
+        position: position.clone(),
+        previousPosition: position.clone(),
+        renderPosition: position.clone(),
+        rotation: new THREE.Euler(),
+        scale: 1.0,
+        spawnScale: 1.0,
+        color: baseColor.clone(),
+        velocity: new THREE.Vector3(
+          (this.random() - 0.5) * 0.3,
+          (this.random() - 0.5) * 0.3,
+          (this.random() - 0.5) * 0.2
+        ),
+        targetPosition: position.clone(),
+        connections: [],
+        activity: this.random(),
+        baseColor: baseColor.clone(),
+        mass: 1.0 + this.random() * 0.5, // Random mass between 1.0 and 1.5
+        restitution: 0.6 + this.random() * 0.3, // Random bounciness between 0.6 and 0.9
+        friction: 0.9 + this.random() * 0.1, // Random friction between 0.9 and 1.0
+        angularVelocity: new THREE.Vector3(
+          (this.random() - 0.5) * 0.02,
+          (this.random() - 0.5) * 0.02,
+          (this.random() - 0.5) * 0.02
+        ),
+        lastCollisionTime: 0,
+        potential: 0,
+        refractoryTimer: 0,
+        spikeCount: 0
+      };
+      
+      this.nodes.push(nodeData);
+    }
+    
+    this.updateConnections();
+    this.updateLayoutTargets();
+  }
+
+  private generatePoissonDiskSampling(numPoints: number, width: number, height: number, depth: number): THREE.Vector3[] {
+    const points: THREE.Vector3[] = [];
+    const minDistance = Math.min(width, height, depth) / Math.sqrt(numPoints) * 0.8;
+    const maxAttempts = 30;
+    
+    // Grid with cells of minDistance, so each check only looks at the 27 surrounding cells
+    const grid = new Map<string, THREE.Vector3[]>();
+    const cellOf = (point: THREE.Vector3) => [
+      Math.floor(point.x / minDistance),
+      Math.floor(point.y / minDistance),
+      Math.floor(point.z / minDistance)
+    ];
+    
+    const addPoint = (point: THREE.Vector3) => {
+      points.push(point);
+      const key = cellOf(point).join(',');
+      const cell = grid.get(key);
+      if (cell) {
+        cell.push(point);
+      } else {
+        grid.set(key, [point]);
+      }
+    };
+    
+    const isFarEnough = (candidate: THREE.Vector3, distance: number) => {
+      const [cx, cy, cz] = cellOf(candidate);
+      for (let dx = -1; dx <= 1; dx++) {
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dz = -1; dz <= 1; dz++) {
+            const cell = grid.get(`${cx + dx},${cy + dy},${cz + dz}`);
+            if (cell && cell.some(existingPoint => candidate.distanceTo(existingPoint) < distance)) {
+              return false;
+            }
+          }
+        }
+      }
+      return true;
+    };
+    
+    const randomPoint = () => new THREE.Vector3(
+      (this.random() - 0.5) * width,
+      (this.random() - 0.5) * height,
+      (this.random() - 0.5) * depth
+    );
+    
+    // Start with a random point
+    if (numPoints > 0) {
+      addPoint(randomPoint());
+    }
+    
+    // Generate remaining points
+    while (points.length < numPoints) {
+      let placed = false;
+      
+      for (let attempt = 0; attempt < maxAttempts && !placed; attempt++) {
+        const candidate = randomPoint();
+        
+        // Check if candidate is far enough from existing points
+        if (isFarEnough(candidate, minDistance)) {
+          addPoint(candidate);
+          placed = true;
+        }
+      }
+      
+      // If we can't place a point after max attempts, reduce min distance slightly
+      if (!placed) {
+        const relaxedDistance = minDistance * 0.9;
+        for (let attempt = 0; attempt < maxAttempts && !placed; attempt++) {
+          const candidate = randomPoint();
+          
+          if (isFarEnough(candidate, relaxedDistance)) {
+            addPoint(candidate);
+            placed = true;
+          }
+        }
+      }
+      
+      // Fallback: if still can't place, just add a random point
+      if (!placed) {
+        addPoint(randomPoint());
+      }
+    }
+    
+    return points;
+  }
+
+  getBoxDimensions(): { width: number, height: number, depth: number } {
+    // A camera frustum at depth 20 fills the view exactly at the default space size of 15
+    const depth = 20;
+    const fov = this.fov * Math.PI / 180;
+    const height = 2 * Math.tan(fov / 2) * depth;
+    const width = height * this.viewAspect;
+    const scale = this.spaceSize / 15;
+    
+    return { width: width * scale, height: height * scale, depth: depth * 0.8 * scale };
+  }
+
+  private computeTopologyDepths(topology: TopologyData): Map<string, number> {
+    // Longest path from any source node, so graphs without explicit layers still read left to right
+    const depths = new Map<string, number>();
+    topology.nodes.forEach(node => depths.set(node.id, 0));
+    
+    // Relax edges at most once per node so cycles cannot loop forever
+    for (let pass = 0; pass < topology.nodes.length; pass++) {
+      let changed = false;
+      for (const edge of topology.edges) {
+        const next = (depths.get(edge.source) ?? 0) + 1;
+        if (edge.source !== edge.target && next > (depths.get(edge.target) ?? 0)) {
+          depths.set(edge.target, next);
+          changed = true;
+        }
+      }
+      if (!changed) break;
+    }
+    
+    return depths;
+  }
+
+  updateLayoutTargets(): void {
+    const { width, height, depth } = this.getBoxDimensions();
+    const count = this.nodes.length;
+    
+    switch (this.layoutMode) {
+      case 'layered': {
+        // Group nodes into columns: topology layers if present, otherwise input/hidden/output thirds
+        const layerOf = (node: NodeData, index: number) =>
+          this.topology ? node.layer : Math.min(2, Math.floor(index * 3 / Math.max(count, 1)));
+        
+        const layerValues = Array.from(new Set(this.nodes.map(layerOf))).sort((a, b) => a - b);
+        const columns = new Map<number, NodeData[]>();
+        layerValues.forEach(layer => columns.set(layer, []));
+        this.nodes.forEach((node, index) => columns.get(layerOf(node, index))!.push(node));
+        
+        const usableWidth = width * 0.8;
+        const usableHeight = height * 0.8;
+        const maxPerRow = 12;
+        
+        layerValues.forEach((layer, columnIndex) => {
+          const column = columns.get(layer)!;
+          const x = layerValues.length > 1 ? -usableWidth / 2 + usableWidth * columnIndex / (layerValues.length - 1) : 0;
+          
+          // Wide layers wrap into extra rows along Z
+          const rows = Math.ceil(column.length / maxPerRow);
+          const perRow = Math.ceil(column.length / rows);
+          
+          column.forEach((node, i) => {
+            const row = Math.floor(i / perRow);
+            const rowCount = Math.min(perRow, column.length - row * perRow);
+            const slot = i - row * perRow;
+            const spacing = Math.min(usableHeight / Math.max(rowCount - 1, 1), 2.5);
+            const y = (slot - (rowCount - 1) / 2) * spacing;
+            const z = rows > 1 ? (row - (rows - 1) / 2) * Math.min(depth * 0.8 / (rows - 1), 2.5) : 0;
+            node.targetPosition.set(x, y, z);
+          });
+        });
+        break;
+      }
+      case 'ring': {
+        const radius = Math.min(width, height) * 0.4;
+        this.nodes.forEach((node, i) => {
+          const angle = (i / Math.max(count, 1)) * Math.PI * 2;
+          node.targetPosition.set(Math.cos(angle) * radius, Math.sin(angle) * radius, 0);
+        });
+        break;
+      }
+      case 'sphere': {
+        // Fibonacci sphere for an even spread
+        const radius = Math.min(width, height, depth) * 0.45;
+        const goldenAngle = Math.PI * (3 - Math.sqrt(5));
+        this.nodes.forEach((node, i) => {
+          const y = count > 1 ? 1 - (i / (count - 1)) * 2 : 0;
+          const r = Math.sqrt(1 - y * y);
+          const theta = goldenAngle * i;
+          node.targetPosition.set(Math.cos(theta) * r * radius, y * radius, Math.sin(theta) * r * radius);
+        });
+        break;
+      }
+      default:
+        // Scatter mode has no slots, nodes roam freely
+        this.nodes.forEach(node => node.targetPosition.copy(node.position));
+    }
+  }
+
+  setLayoutMode(mode: LayoutMode): void {
+    const previousMode = this.layoutMode;
+    this.layoutMode = mode;
+    this.updateLayoutTargets();
+    
+    // Springs damp velocity out, so give nodes a fresh push when released back to scatter
+    if (mode === 'scatter' && previousMode !== 'scatter') {
+      this.nodes.forEach(node => {
+        node.velocity.set(
+          (this.random() - 0.5) * 0.3,
+          (this.random() - 0.5) * 0.3,
+          (this.random() - 0.5) * 0.2
+        );
+      });
+    }
+  }
+
+  updateConnections(): void {
+    // Clear existing connections
+    this.connections = [];
+    this.nodes.forEach(node => node.connections = []);
+    
+    if (this.topology) {
+      // Wire up only the edges defined by the loaded topology
+      const nodesById = new Map<string, NodeData>();
+      this.nodes.forEach(node => nodesById.set(node.id, node));
+      
+      const maxWeight = this.topology.edges.reduce((max, edge) => Math.max(max, Math.abs(edge.weight ?? 1)), 0) || 1;
+      
+      for (const edge of this.topology.edges) {
+        const source = nodesById.get(edge.source);
+        const target = nodesById.get(edge.target);
+        if (!source || !target || source === target) continue;
+        
+        this.addConnection(source, target, (edge.weight ?? 1) / maxWeight, true);
+      }
+      return;
+    }
+    
+    this.lastConnectionRebuild = this.time;
+    
+    const mode = this.getEffectiveConnectionMode();
+    if (mode !== this.connectionMode && !this.fullMeshFallback) {
+      console.warn(`Full mesh is limited to ${this.maxFullMeshNodes} nodes, using k-nearest connections instead`);
+    }
+    this.fullMeshFallback = mode !== this.connectionMode;
+    
+    if (mode === 'nearest') {
+      this.connectNearestNeighbors();
+    } else if (mode === 'distance') {
+      this.connectWithinDistance();
+    } else {
+      // Create connections between all nodes
+      for (let i = 0; i < this.nodes.length; i++) {
+        for (let j = i + 1; j < this.nodes.length; j++) {
+          this.addConnection(this.nodes[i], this.nodes[j], 1.0, false);
+        }
+      }
+    }
+  }
+
+  private getEffectiveConnectionMode(): ConnectionMode {
+    // A full mesh grows with the square of the node count, so large networks fall back to k-nearest
+    if (this.connectionMode === 'all' && this.nodes.length > this.maxFullMeshNodes) {
+      return 'nearest';
+    }
+    return this.connectionMode;
+  }
+
+  private connectNearestNeighbors(): void {
+    const k = Math.min(this.connectionNeighbors, this.nodes.length - 1);
+    if (k <= 0) return;
+    
+    // Search radius that should hold about 2k nodes at the average density
+    const { width, height, depth } = this.getBoxDimensions();
+    const searchRadius = Math.cbrt((2 * k * width * height * depth) / this.nodes.length);
+    
+    const candidates = new Map<NodeData, { node: NodeData, distance: number }[]>();
+    this.nodes.forEach(node => candidates.set(node, []));
+    
+    this.forEachNeighborPair(this.nodes, searchRadius, (a, b) => {
+      const distance = a.position.distanceTo(b.position);
+      candidates.get(a)!.push({ node: b, distance });
+      candidates.get(b)!.push({ node: a, distance });
+    });
+    
+    // Each node links to its k closest; a pair chosen by both ends is only added once
+    const linked = new Set<string>();
+    for (const node of this.nodes) {
+      const nearest = candidates.get(node)!.sort((a, b) => a.distance - b.distance).slice(0, k);
+      for (const { node: other } of nearest) {
+        const key = node.id < other.id ? `${node.id}|${other.id}` : `${other.id}|${node.id}`;
+        if (linked.has(key)) continue;
+        linked.add(key);
+        this.addConnection(node, other, 1.0, false);
+      }
+    }
+  }
+
+  private connectWithinDistance(): void {
+    const maxDistance = this.connectionDistance;
+    
+    this.forEachNeighborPair(this.nodes, maxDistance, (a, b) => {
+      if (a.position.distanceTo(b.position) < maxDistance) {
+        this.addConnection(a, b, 1.0, false);
+      }
+    });
+  }
+
+  private addConnection(startNode: NodeData, endNode: NodeData, weight: number, directed: boolean): void {
+    const connection: ConnectionData = { startNode, endNode, weight, directed };
+    
+    startNode.connections.push(connection);
+    if (!directed) {
+      endNode.connections.push(connection);
+    }
+    
+    this.connections.push(connection);
+  }
+
+  private createParticle(startNode: NodeData, endNode: NodeData, charge: number = 0): ParticleData {
+    const speed = this.particleSpeed * (0.5 + this.random() * 0.5); // Random speed variation
+    
+    return {
+      startNode,
+      endNode,
+      progress: 0,
+      previousProgress: 0,
+      speed,
+      lifespan: charge !== 0 ? Math.max(3.0, 1.1 / speed) : 3.0, // Spikes live long enough to arrive
+      age: 0,
+      opacity: 0.8,
+      charge
+    };
+  }
+
+  private spawnParticle(startNode: NodeData, endNode: NodeData, charge: number = 0): void {
+    const particle = this.createParticle(startNode, endNode, charge);
+    this.particles.push(particle);
+    this.events.emit('particleSpawn', { particle });
+  }
+  
+  private updateParticles(deltaTime: number): void {
+    // Update existing particles
+    for (let i = this.particles.length - 1; i >= 0; i--) {
+      const particle = this.particles[i];
+      particle.previousProgress = particle.progress;
+      particle.age += deltaTime;
+      particle.progress += particle.speed * deltaTime;
+      
+      if (particle.progress >= 1.0) {
+        // Arriving spikes charge up their target node
+        if (particle.charge !== 0) {
+          this.depositCharge(particle.endNode, particle.charge);
+        }
+        this.events.emit('particleArrive', { particle });
+      }
+      
+      // Remove particles that have completed their journey or exceeded lifespan
+      if (particle.progress >= 1.0 || particle.age >= particle.lifespan) {
+        this.particles.splice(i, 1);
+        continue;
+      }
+      
+      // Fade out particle as it ages
+      const fadeProgress = particle.age / particle.lifespan;
+      particle.opacity = 0.8 * (1 - fadeProgress * fadeProgress);
+    }
+    
+    // Create new particles based on node activity (spiking nodes emit their own in fireNode)
+    if (this.activationModel === 'wave' && this.showParticles && this.connections.length > 0) {
+      const audioLevel = this.getAudioLevel(this.audioParticles);
+      const audioFactor = audioLevel === null ? 1 : audioLevel * 2; // Silence stops the flow, peaks double it
+      const spawnProbability = (this.particleCount * deltaTime * 2 * audioFactor) / this.connections.length; // Increased spawn rate
+      
+      for (const connection of this.connections) {
+        const nodeA = connection.startNode;
+        const nodeB = connection.endNode;
+        
+        // Higher activity nodes are more likely to spawn particles, stronger edges more so
+        const activityFactor = Math.max(0.3, (nodeA.activity + nodeB.activity) * 0.5); // Minimum activity
+        const finalProbability = spawnProbability * activityFactor * Math.abs(connection.weight);
+        
+        if (this.particles.length < this.particleBudget && this.random() < finalProbability) {
+          // Directed edges always fire from source to target, otherwise randomly choose direction
+          const startNode = connection.directed || this.random() < 0.5 ? nodeA : nodeB;
+          const endNode = startNode === nodeA ? nodeB : nodeA;
+          this.spawnParticle(startNode, endNode);
+        }
+      }
+    }
+  }
+
+  // Audio level driving one node's activity: its group's band, or the single mapped band
+  private getNodeAudioLevel(index: number): number | null {
+    if (this.audioActivity !== 'groups') return this.getAudioLevel(this.audioActivity);
+    const group = Math.min(audioBands.length - 1, Math.floor(index * audioBands.length / Math.max(1, this.nodes.length)));
+    return this.getAudioLevel(audioBands[group]);
+  }
+
+  private updateSpikingNode(node: NodeData, index: number, inputLayer: number, deltaTime: number): void {
+    // Visible glow decays after each spike
+    node.activity *= Math.exp(-deltaTime * 4);
+    
+    if (node.refractoryTimer > 0) {
+      node.refractoryTimer = Math.max(0, node.refractoryTimer - deltaTime);
+      node.potential = 0;
+      return;
+    }
+    
+    // Tonic drive: every node in a mesh, only input-layer nodes in a topology
+    if (!this.topology || node.layer === inputLayer) {
+      const driveVariation = 0.6 + 0.4 * ((index * 0.618034) % 1); // Golden-ratio spread staggers firing
+      const audioLevel = this.getNodeAudioLevel(index);
+      const drive = audioLevel === null ? 0.5 : audioLevel * 2; // Audio replaces the steady drive so beats trigger volleys
+      node.potential += this.activitySpeed * drive * driveVariation * deltaTime;
+    }
+    
+    // Leak toward rest
+    node.potential *= Math.exp(-this.spikeLeak * deltaTime);
+    
+    if (node.potential >= this.spikeThreshold) {
+      this.fireNode(node);
+    } else {
+      // Let charging show as a faint glow
+      node.activity = Math.max(node.activity, Math.max(0, node.potential / this.spikeThreshold) * 0.3);
+    }
+  }
+
+  private fireNode(node: NodeData): void {
+    node.potential = 0;
+    node.refractoryTimer = this.refractoryPeriod;
+    node.activity = 1.0;
+    this.events.emit('spike', { node });
+    
+    const outgoing = node.connections;
+    if (outgoing.length === 0) return;
+    
+    // Fan out along at most particleCount connections, rotating through them on successive spikes
+    const fanOut = Math.min(this.particleCount, outgoing.length);
+    const offset = (node.spikeCount * fanOut) % outgoing.length;
+    node.spikeCount++;
+    
+    for (let i = 0; i < fanOut; i++) {
+      const connection = outgoing[(offset + i) % outgoing.length];
+      const target = connection.startNode === node ? connection.endNode : connection.startNode;
+      const charge = 0.5 * connection.weight;
+      
+      if (this.showParticles && this.particles.length < this.particleBudget) {
+        this.spawnParticle(node, target, charge);
+      } else {
+        // Without a particle to carry it the charge arrives immediately
+        this.depositCharge(target, charge);
+      }
+    }
+  }
+
+  private depositCharge(node: NodeData, charge: number): void {
+    if (node.refractoryTimer > 0) return;
+    
+    // Inhibitory input can push below rest, but not without bound
+    node.potential = Math.max(-this.spikeThreshold, node.potential + charge);
+  }
+
+  trimParticlesToBudget(): void {
+    // Drop the oldest particles first
+    if (this.particles.length > this.particleBudget) {
+      this.particles.splice(0, this.particles.length - this.particleBudget);
+    }
+  }
+
+  parseTopology(data: any): TopologyData {
+    return parseTopologyData(data);
+  }
+
+  updateNodeCount(): void {
+    // Topologies have a fixed node set
+    if (this.topology) return;
+    
+    const targetCount = this.nodeCount;
+    const currentCount = this.nodes.length;
+    
+    // Large count changes move several nodes per step so transitions still finish on time
+    const batchSize = Math.max(1, Math.ceil(Math.abs(targetCount - currentCount) / 30));
+    
+    if (targetCount > currentCount) {
+      // Add nodes gradually
+      for (let i = 0; i < Math.min(batchSize, targetCount - currentCount); i++) this.addNode();
+    } else if (targetCount < currentCount) {
+      // Remove nodes gradually
+      for (let i = 0; i < Math.min(batchSize, currentCount - targetCount); i++) this.removeNode();
+    }
+    
+    // Update connections after node count changes
+    if (targetCount !== currentCount) {
+      this.updateConnections();
+      this.updateLayoutTargets();
+    }
+  }
+
+  private addNode(): void {
+    // Calculate box dimensions
+    const { width, height, depth } = this.getBoxDimensions();
+    
+    // Find a good position that's not too close to existing nodes
+    let position: THREE.Vector3;
+    let attempts = 0;
+    const maxAttempts = 50;
+    const minDistance = Math.min(width, height, depth) / Math.sqrt(this.nodeCount) * 0.6;
+    
+    do {
+      position = new THREE.Vector3(
+        (this.random() - 0.5) * width,
+        (this.random() - 0.5) * height,
+        (this.random() - 0.5) * depth
+      );
+      attempts++;
+    } while (attempts < maxAttempts && this.isTooCloseToExistingNodes(position, minDistance));
+    
+    const baseColor = new THREE.Color(this.nodeColor);
+    
+    const nodeData: NodeData = {
+      id: `n${this.nextNodeId++}`,
+      layer: 0,
+      position: position.clone(),
+      previousPosition: position.clone(),
+      renderPosition: position.clone(),
+      rotation: new THREE.Euler(),
+      scale: 1.0,
+      spawnScale: 0.1, // Start small and scale up for smooth appearance
+      color: baseColor.clone(),
+      velocity: new THREE.Vector3(
+        (this.random() - 0.5) * 0.3,
+        (this.random() - 0.5) * 0.3,
+        (this.random() - 0.5) * 0.2
+      ),
+      targetPosition: position.clone(),
+      connections: [],
+      activity: this.random(),
+      baseColor: baseColor.clone(),
+      mass: 1.0 + this.random() * 0.5,
+      restitution: 0.6 + this.random() * 0.3,
+      friction: 0.9 + this.random() * 0.1,
+      angularVelocity: new THREE.Vector3(
+        (this.random() - 0.5) * 0.02,
+        (this.random() - 0.5) * 0.02,
+        (this.random() - 0.5) * 0.02
+      ),
+      lastCollisionTime: 0,
+      potential: 0,
+      refractoryTimer: 0,
+      spikeCount: 0
+    };
+    
+    this.nodes.push(nodeData);
+    this.events.emit('nodeAdded', { node: nodeData });
+    
+    // Animate scale up
+    this.animateNodeScaleUp(nodeData);
+  }
+
+  private removeNode(): void {
+    if (this.nodes.length === 0) return;
+    
+    // Remove the last node (could be made smarter to remove least active node)
+    const nodeToRemove = this.nodes.pop();
+    if (!nodeToRemove) return;
+    
+    this.events.emit('nodeRemoved', { node: nodeToRemove });
+    
+    // Keep drawing it while it shrinks away
+    this.removingNodes.push(nodeToRemove);
+    this.animateNodeScaleDown(nodeToRemove, () => {
+      const index = this.removingNodes.indexOf(nodeToRemove);
+      if (index !== -1) {
+        this.removingNodes.splice(index, 1);
+      }
+    });
+  }
+
+  private isTooCloseToExistingNodes(position: THREE.Vector3, minDistance: number): boolean {
+    for (const node of this.nodes) {
+      if (position.distanceTo(node.position) < minDistance) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  private animateNodeScaleUp(node: NodeData): void {
+    this.scaleAnimations.push({ node, elapsed: 0, duration: 0.5, from: 0.1, to: 1, easing: 'out' });
+  }
+
+  private animateNodeScaleDown(node: NodeData, onComplete: () => void): void {
+    this.scaleAnimations.push({ node, elapsed: 0, duration: 0.3, from: node.spawnScale, to: 0, easing: 'in', onComplete });
+  }
+
+  private updateScaleAnimations(deltaTime: number): void {
+    // Runs on simulation time so offline exports see the same growth and shrinkage as live playback
+    for (let i = this.scaleAnimations.length - 1; i >= 0; i--) {
+      const animation = this.scaleAnimations[i];
+      animation.elapsed += deltaTime;
+      
+      const progress = Math.min(animation.elapsed / animation.duration, 1);
+      const eased = animation.easing === 'out' ? 1 - Math.pow(1 - progress, 3) : progress * progress * progress;
+      animation.node.spawnScale = animation.from + (animation.to - animation.from) * eased;
+      
+      if (progress >= 1) {
+        this.scaleAnimations.splice(i, 1);
+        try {
+          animation.onComplete?.();
+        } catch (error) {
+          console.error('Error during node removal:', error);
+        }
+      }
+    }
+  }
+
+  private getMouseWorldPosition(): THREE.Vector3 | null {
+    // Where the pointer ray crosses the z = 0 plane through the middle of the box
+    if (!this.pointerRay) return null;
+    const plane = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0);
+    const target = new THREE.Vector3();
+    return this.pointerRay.intersectPlane(plane, target);
+  }
+
+  private getGravityDirection(position: THREE.Vector3, mouseTarget: THREE.Vector3 | null): THREE.Vector3 {
+    switch (this.gravityMode) {
+      case 'center':
+        return position.clone().negate().normalize();
+      case 'mouse':
+        return mouseTarget ? mouseTarget.clone().sub(position).normalize() : new THREE.Vector3();
+      default:
+        return new THREE.Vector3(0, -1, 0);
+    }
+  }
+
+  private updateNodes(deltaTime: number): void {
+    const time = this.time;
+    
+    // Remember where each node was so rendering can interpolate between steps
+    this.nodes.forEach(node => node.previousPosition.copy(node.position));
+    
+    const pointerRay = this.pointerRay;
+    
+    const box = this.getBoxDimensions();
+    const mouseTarget = this.gravityMode === 'mouse' ? this.getMouseWorldPosition() : null;
+    
+    // Resolve node-to-node contacts and field forces before integrating
+    this.updateNodeInteractions(time);
+    
+    // Topology layers may be numbered from anywhere, so the lowest one present is the input layer
+    const inputLayer = this.nodes.reduce((lowest, node) => Math.min(lowest, node.layer), Infinity);
+    
+    this.nodes.forEach((node, index) => {
+      const { position, velocity, targetPosition, baseColor, mass, restitution, friction, angularVelocity, rotation } = node;
+      
+      // Update activity (neural firing simulation)
+      if (this.activationModel === 'spiking') {
+        this.updateSpikingNode(node, index, inputLayer, deltaTime);
+      } else {
+        const audioLevel = this.getNodeAudioLevel(index);
+        node.activity = audioLevel ?? (Math.sin(time * this.activitySpeed + index) + 1) * 0.5;
+      }
+      
+      // Spring toward the layout slot when a structured layout is active
+      if (this.layoutMode !== 'scatter') {
+        const spring = targetPosition.clone().sub(position).multiplyScalar(this.layoutStrength * 0.01);
+        velocity.add(spring).multiplyScalar(0.92);
+      }
+      
+      // Gravity pulls in the selected direction
+      if (this.gravity !== 0) {
+        velocity.addScaledVector(this.getGravityDirection(position, mouseTarget), this.gravity * 0.1 * deltaTime);
+      }
+      
+      // Air resistance bleeds off speed over time
+      if (this.airResistance > 0) {
+        velocity.multiplyScalar(Math.exp(-this.airResistance * deltaTime));
+      }
+      
+      // Apply velocity to position (constant speed movement)
+      position.add(velocity.clone().multiplyScalar(this.nodeSpeed));
+      
+      // Boundary constraints based on the box - proper bouncing
+      const boundaryX = box.width * 0.5;
+      const boundaryY = box.height * 0.5;
+      const boundaryZ = box.depth * 0.5;
+      
+      // Enhanced collision detection with realistic physics
+      let collisionOccurred = false;
+      const minTimeBetweenCollisions = 0.1; // Prevent multiple collisions in quick succession
+      
+      // X-axis collisions (left/right walls)
+      if (position.x > boundaryX) {
+        position.x = boundaryX;
+        if (velocity.x > 0 && (time - node.lastCollisionTime) > minTimeBetweenCollisions) {
+          const impactSpeed = Math.abs(velocity.x);
+          velocity.x = -velocity.x * (node.restitution * this.wallRestitution);
+          velocity.y *= this.wallFriction;
+          velocity.z *= this.wallFriction;
+          
+          // Add some random angular velocity from impact
+          angularVelocity.add(new THREE.Vector3(
+            (this.random() - 0.5) * impactSpeed * 0.1,
+            (this.random() - 0.5) * impactSpeed * 0.1,
+            (this.random() - 0.5) * impactSpeed * 0.1
+          ));
+          
+          node.lastCollisionTime = time;
+          collisionOccurred = true;
+          this.events.emit('wallCollision', { node, wall: 'right', impactSpeed });
+          
+          if (this.showRipples) {
+            const ripplePos = new THREE.Vector3(boundaryX, position.y, position.z);
+            const normal = new THREE.Vector3(-1, 0, 0);
+            this.ripples.push(this.createRipple(ripplePos, normal, 'right'));
+          }
+        }
+      } else if (position.x < -boundaryX) {
+        position.x = -boundaryX;
+        if (velocity.x < 0 && (time - node.lastCollisionTime) > minTimeBetweenCollisions) {
+          const impactSpeed = Math.abs(velocity.x);
+          velocity.x = -velocity.x * (node.restitution * this.wallRestitution);
+          velocity.y *= this.wallFriction;
+          velocity.z *= this.wallFriction;
+          
+          angularVelocity.add(new THREE.Vector3(
+            (this.random() - 0.5) * impactSpeed * 0.1,
+            (this.random() - 0.5) * impactSpeed * 0.1,
+            (this.random() - 0.5) * impactSpeed * 0.1
+          ));
+          
+          node.lastCollisionTime = time;
+          collisionOccurred = true;
+          this.events.emit('wallCollision', { node, wall: 'left', impactSpeed });
+          
+          if (this.showRipples) {
+            const ripplePos = new THREE.Vector3(-boundaryX, position.y, position.z);
+            const normal = new THREE.Vector3(1, 0, 0);
+            this.ripples.push(this.createRipple(ripplePos, normal, 'left'));
+          }
+        }
+      }
+      
+      // Y-axis collisions (floor/ceiling)
+      if (position.y > boundaryY) {
+        position.y = boundaryY;
+        if (velocity.y > 0 && (time - node.lastCollisionTime) > minTimeBetweenCollisions) {
+          const impactSpeed = Math.abs(velocity.y);
+          velocity.y = -velocity.y * (node.restitution * this.wallRestitution);
+          velocity.x *= this.wallFriction;
+          velocity.z *= this.wallFriction;
+          
+          angularVelocity.add(new THREE.Vector3(
+            (this.random() - 0.5) * impactSpeed * 0.1,
+            (this.random() - 0.5) * impactSpeed * 0.1,
+            (this.random() - 0.5) * impactSpeed * 0.1
+          ));
+          
+          node.lastCollisionTime = time;
+          collisionOccurred = true;
+          this.events.emit('wallCollision', { node, wall: 'ceiling', impactSpeed });
+          
+          if (this.showRipples) {
+            const ripplePos = new THREE.Vector3(position.x, boundaryY, position.z);
+            const normal = new THREE.Vector3(0, -1, 0);
+            this.ripples.push(this.createRipple(ripplePos, normal, 'ceiling'));
+          }
+        }
+      } else if (position.y < -boundaryY) {
+        position.y = -boundaryY;
+        if (velocity.y < 0 && (time - node.lastCollisionTime) > minTimeBetweenCollisions) {
+          const impactSpeed = Math.abs(velocity.y);
+          velocity.y = -velocity.y * (node.restitution * this.wallRestitution);
+          velocity.x *= this.wallFriction;
+          velocity.z *= this.wallFriction;
+          
+          angularVelocity.add(new THREE.Vector3(
+            (this.random() - 0.5) * impactSpeed * 0.1,
+            (this.random() - 0.5) * impactSpeed * 0.1,
+            (this.random() - 0.5) * impactSpeed * 0.1
+          ));
+          
+          node.lastCollisionTime = time;
+          collisionOccurred = true;
+          this.events.emit('wallCollision', { node, wall: 'floor', impactSpeed });
+          
+          if (this.showRipples) {
+            const ripplePos = new THREE.Vector3(position.x, -boundaryY, position.z);
+            const normal = new THREE.Vector3(0, 1, 0);
+            this.ripples.push(this.createRipple(ripplePos, normal, 'floor'));
+          }
+        }
+      }
+      
+      // Z-axis collisions (front/back walls)
+      if (position.z > boundaryZ) {
+        position.z = boundaryZ;
+        if (velocity.z > 0 && (time - node.lastCollisionTime) > minTimeBetweenCollisions) {
+          const impactSpeed = Math.abs(velocity.z);
+          velocity.z = -velocity.z * (node.restitution * this.wallRestitution);
+          velocity.x *= this.wallFriction;
+          velocity.y *= this.wallFriction;
+          
+          angularVelocity.add(new THREE.Vector3(
+            (this.random() - 0.5) * impactSpeed * 0.1,
+            (this.random() - 0.5) * impactSpeed * 0.1,
+            (this.random() - 0.5) * impactSpeed * 0.1
+          ));
+          
+          node.lastCollisionTime = time;
+          collisionOccurred = true;
+          this.events.emit('wallCollision', { node, wall: 'front', impactSpeed });
+          // No ripple for front wall (camera side)
+        }
+      } else if (position.z < -boundaryZ) {
+        position.z = -boundaryZ;
+        if (velocity.z < 0 && (time - node.lastCollisionTime) > minTimeBetweenCollisions) {
+          const impactSpeed = Math.abs(velocity.z);
+          velocity.z = -velocity.z * (node.restitution * this.wallRestitution);
+          velocity.x *= this.wallFriction;
+          velocity.y *= this.wallFriction;
+          
+          angularVelocity.add(new THREE.Vector3(
+            (this.random() - 0.5) * impactSpeed * 0.1,
+            (this.random() - 0.5) * impactSpeed * 0.1,
+            (this.random() - 0.5) * impactSpeed * 0.1
+          ));
+          
+          node.lastCollisionTime = time;
+          collisionOccurred = true;
+          this.events.emit('wallCollision', { node, wall: 'back', impactSpeed });
+          
+          if (this.showRipples) {
+            const ripplePos = new THREE.Vector3(position.x, position.y, -boundaryZ);
+            const normal = new THREE.Vector3(0, 0, 1);
+            this.ripples.push(this.createRipple(ripplePos, normal, 'back'));
+          }
+        }
+      }
+      
+      // Apply angular velocity damping
+      angularVelocity.multiplyScalar(0.98);
+      
+      // Mouse interaction
+      let mouseInfluence = 0;
+      
+      if (pointerRay && pointerRay.distanceToPoint(position) < 0.5 * node.scale * node.spawnScale) {
+        // The pointer is over the node itself
+        mouseInfluence = 1.0;
+      } else if (pointerRay) {
+        // Check distance to the point on the pointer ray at the node's depth
+        const mouseWorldPos = pointerRay.at(pointerRay.origin.distanceTo(position), new THREE.Vector3());
+        const distanceToMouse = position.distanceTo(mouseWorldPos);
+        mouseInfluence = Math.max(0, 1 - distanceToMouse / this.mouseInfluenceRadius);
+      }
+      
+      // Update node appearance based on activity and mouse interaction
+      const activityIntensity = node.activity + mouseInfluence * 0.5;
+      const scale = 1.0 + activityIntensity * 0.3;
+      node.scale = scale;
+      
+      // Update color based on activity
+      node.color.copy(baseColor).lerp(new THREE.Color(1, 1, 1), activityIntensity * 0.4);
+      
+      // Apply angular velocity for realistic rotation
+      rotation.x += angularVelocity.x;
+      rotation.y += angularVelocity.y;
+      rotation.z += angularVelocity.z;
+      
+      // Add gentle base rotation when not colliding
+      if (!collisionOccurred) {
+        rotation.x += 0.005 * this.nodeSpeed;
+        rotation.y += 0.008 * this.nodeSpeed;
+        rotation.z += 0.003 * this.nodeSpeed;
+      }
+    });
+  }
+
+  private buildSpatialHash(nodes: NodeData[], cellSize: number): Map<string, NodeData[]> {
+    const hash = new Map<string, NodeData[]>();
+    
+    for (const node of nodes) {
+      const key = `${Math.floor(node.position.x / cellSize)},${Math.floor(node.position.y / cellSize)},${Math.floor(node.position.z / cellSize)}`;
+      const cell = hash.get(key);
+      if (cell) {
+        cell.push(node);
+      } else {
+        hash.set(key, [node]);
+      }
+    }
+    
+    return hash;
+  }
+
+  private forEachNeighborPair(nodes: NodeData[], cellSize: number, callback: (a: NodeData, b: NodeData) => void): void {
+    const hash = this.buildSpatialHash(nodes, cellSize);
+    const order = new Map<NodeData, number>();
+    nodes.forEach((node, index) => order.set(node, index));
+    
+    for (const node of nodes) {
+      const cx = Math.floor(node.position.x / cellSize);
+      const cy = Math.floor(node.position.y / cellSize);
+      const cz = Math.floor(node.position.z / cellSize);
+      const index = order.get(node)!;
+      
+      // Check the 27 surrounding cells, visiting each pair once
+      for (let dx = -1; dx <= 1; dx++) {
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dz = -1; dz <= 1; dz++) {
+            const cell = hash.get(`${cx + dx},${cy + dy},${cz + dz}`);
+            if (!cell) continue;
+            
+            for (const other of cell) {
+              if (order.get(other)! > index) {
+                callback(node, other);
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+
+  private updateNodeInteractions(time: number): void {
+    const hasField = this.interactionStrength !== 0;
+    if (!this.nodeCollisions && !hasField) return;
+    
+    const activeNodes = this.nodes;
+    const maxNodeRadius = 0.5 * 1.45; // Half the box size at peak activity scale
+    const cellSize = Math.max(maxNodeRadius * 2, hasField ? this.interactionRadius : 0);
+    const minTimeBetweenCollisions = 0.1;
+    
+    this.forEachNeighborPair(activeNodes, cellSize, (a, b) => {
+      const offset = b.position.clone().sub(a.position);
+      const distance = offset.length();
+      if (distance === 0) return;
+      
+      const normal = offset.divideScalar(distance);
+      
+      // Soft repulsion/attraction field, stronger the closer the nodes are
+      if (hasField && distance < this.interactionRadius) {
+        const falloff = 1 - distance / this.interactionRadius;
+        const force = normal.clone().multiplyScalar(this.interactionStrength * falloff * 0.002);
+        a.velocity.addScaledVector(force, -1 / a.mass);
+        b.velocity.addScaledVector(force, 1 / b.mass);
+      }
+      
+      if (!this.nodeCollisions) return;
+      
+      // Drawn size, so nodes growing in or shrinking out only collide as far as they are visible
+      const minDistance = 0.5 * (a.scale * a.spawnScale + b.scale * b.spawnScale);
+      if (distance >= minDistance) return;
+      
+      // Push the pair apart in proportion to inverse mass so they stop overlapping
+      const inverseMassA = 1 / a.mass;
+      const inverseMassB = 1 / b.mass;
+      const overlap = minDistance - distance;
+      const totalInverseMass = inverseMassA + inverseMassB;
+      a.position.addScaledVector(normal, -overlap * inverseMassA / totalInverseMass);
+      b.position.addScaledVector(normal, overlap * inverseMassB / totalInverseMass);
+      
+      // Only exchange momentum while approaching
+      const approachSpeed = a.velocity.clone().sub(b.velocity).dot(normal);
+      if (approachSpeed <= 0) return;
+      
+      const restitution = Math.min(a.restitution, b.restitution);
+      const impulse = (1 + restitution) * approachSpeed / totalInverseMass;
+      a.velocity.addScaledVector(normal, -impulse * inverseMassA);
+      b.velocity.addScaledVector(normal, impulse * inverseMassB);
+      
+      // Impact spin, same as wall hits
+      const spin = approachSpeed * 0.1;
+      [a, b].forEach(node => node.angularVelocity.add(new THREE.Vector3(
+        (this.random() - 0.5) * spin,
+        (this.random() - 0.5) * spin,
+        (this.random() - 0.5) * spin
+      )));
+      
+      const canRipple = (time - a.lastCollisionTime) > minTimeBetweenCollisions && (time - b.lastCollisionTime) > minTimeBetweenCollisions;
+      a.lastCollisionTime = time;
+      b.lastCollisionTime = time;
+      
+      if (this.showRipples && this.collisionRipples && canRipple && approachSpeed > 0.02) {
+        const contactPoint = a.position.clone().addScaledVector(normal, 0.5 * a.scale);
+        this.ripples.push(this.createRipple(contactPoint, normal, 'node'));
+      }
+    });
+  }
+
+}
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { NeuralSimulation, simulationTimeStep } from '../simulation.js';
+import { normalizePreset } from '../presets.js';
+
+// Headless checks of the simulation; run `npm test`, which compiles first
+
+function createSimulation(params = {}) {
+  const simulation = new NeuralSimulation({ viewAspect: 16 / 9, fov: 75 });
+  simulation.applyPreset({ ...simulation.getParams(), nodeCount: 20, seed: 7, ...params });
+  return simulation;
+}
+
+function positions(simulation) {
+  return simulation.nodes.map(node => node.position.toArray());
+}
+
+test('a node moving through a wall bounces back and fires wallCollision', () => {
+  const simulation = createSimulation({ nodeCollisions: false });
+  simulation.step(0.5); // Past the minimum time between collisions
+
+  const collisions = [];
+  simulation.events.on('wallCollision', event => collisions.push(event));
+
+  const node = simulation.nodes[0];
+  node.position.set(1000, 0, 0);
+  node.velocity.set(0.2, 0, 0);
+  simulation.step(simulationTimeStep);
+
+  const collision = collisions.find(event => event.node === node);
+  assert.ok(collision, 'expected a wallCollision event for the moved node');
+  assert.equal(collision.wall, 'right');
+  assert.ok(collision.impactSpeed > 0);
+  assert.ok(node.position.x < 1000, 'the node should be clamped inside the box');
+  assert.ok(node.velocity.x < 0, 'the node should move away from the wall');
+});
+
+test('step() gives the same scene however the time is sliced', () => {
+  const a = createSimulation();
+  const b = createSimulation();
+  for (let i = 0; i < 120; i++) a.step(1 / 60);
+  for (let i = 0; i < 40; i++) b.step(1 / 20);
+  assert.deepEqual(positions(a), positions(b));
+});
+
+test('applyPreset() applies a shipped preset and rebuilds the nodes', () => {
+  const raw = JSON.parse(readFileSync(new URL('../presets/Spike Cascade.json', import.meta.url), 'utf8'));
+  const { preset, issues } = normalizePreset(raw);
+  assert.deepEqual(issues, []);
+
+  const simulation = createSimulation();
+  simulation.applyPreset(preset);
+  const params = simulation.getParams();
+  assert.equal(params.nodeCount, preset.nodeCount);
+  assert.equal(params.activationModel, preset.activationModel);
+  assert.equal(params.seed, preset.seed);
+  assert.equal(simulation.nodes.length, preset.nodeCount);
+
+  for (let i = 0; i < 60; i++) simulation.step(simulationTimeStep);
+  assert.ok(simulation.nodes.every(node => node.position.toArray().every(Number.isFinite)));
+});
+
+test('setParams() changes values in place and only rebuilds for a new node count', () => {
+  const simulation = createSimulation();
+  const nodes = simulation.nodes;
+
+  simulation.setParams({ nodeSpeed: 1.5, gravity: 0.5 });
+  assert.equal(simulation.getParams().nodeSpeed, 1.5);
+  assert.equal(simulation.getParams().gravity, 0.5);
+  assert.equal(simulation.nodes, nodes, 'nodes should survive a physics-only change');
+
+  simulation.setParams({ nodeCount: 30 });
+  assert.equal(simulation.getParams().nodeCount, 30);
+  assert.equal(simulation.nodes.length, 30);
+});